@@ -1 +1,14 @@
-export default ["--import step_definitions/**/*.js", "features/**/*.feature"].join(" ");
+// One id per cucumber run, shared with parallel workers through the environment
+process.env.PERF_RUN_ID ??= new Date().toISOString().replace(/[:.]/g, "-");
+
+export default [
+  "--import step_definitions/**/*.js",
+  // Native reports carry the attached k6 output, metrics and screenshots
+  "--format json:reports/cucumber-report.json",
+  "--format html:reports/cucumber-report.html",
+  "--format junit:reports/cucumber-report.xml",
+  // HTML performance report of all scenarios, parallel workers included;
+  // the file lists the paths of the latest report
+  "--format ./reporters/reportFormatter.js:reports/latest-report.txt",
+  "features/**/*.feature",
+].join(" ");
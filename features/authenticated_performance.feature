@@ -0,0 +1,19 @@
+Feature: Authenticated Page Performance Testing
+  #Pages behind a login, measured with a session captured once per run
+  Background:
+    Given I am logged in as "Demo User"
+    And page url - "https://the-internet.herokuapp.com/secure"
+
+  @WIFI @HighCPU
+  Scenario: Load the secure area as a logged in user
+    When I load the subcomponents with selectors and text
+      | selector    | expectedText |
+      | #content h2 | Secure Area  |
+    #Assert the secure area renders without logging in again
+    Then each subcomponent load time should be less than 5 seconds
+
+  @4G @HighCPU
+  Scenario: Measure the login of the demo user
+    When I log in as "Demo User"
+    #Assert time from opening the login page until the success message is visible
+    Then the login time should be less than 8 seconds
@@ -0,0 +1,158 @@
+Feature: Fixture Pages Performance Testing
+  #Known timings from the bundled fixture server, for validating the framework offline
+
+  @WIFI @HighCPU
+  Scenario: Load the static fixture page
+    Given page url - "{fixture}/static"
+    When I load the main page
+    #Assert avg load time of a page without delays
+    Then the main page load time should be less than 3 seconds
+
+  @WIFI @HighCPU
+  Scenario: Load a fixture page with a slow server response
+    Given page url - "{fixture}/static?serverDelay=1000"
+    When I load the main page
+    #Assert the 1s server delay is measured but stays within the limit
+    Then the main page load time should be less than 4 seconds
+    And TTFB should be rated "needs improvement"
+
+  @WIFI @HighCPU
+  Scenario: Assert the slowest load of the static fixture page
+    Given page url - "{fixture}/static"
+    When I load the main page
+    #Assert the slowest sample rather than the average, with a decimal threshold
+    Then the main page load time max should be less than 2.5 seconds
+
+  @WIFI @HighCPU @Load(iterations,3,2)
+  Scenario: Load the static fixture page with three browsers at once
+    Given page url - "{fixture}/static"
+    When I load the main page
+    #Assert the slowest of 3 VUs x 2 iterations (load-profiles.yaml has named profiles)
+    Then the main page load time max should be less than 5 seconds
+
+  @WIFI @HighCPU
+  Scenario: Compare the static fixture page with its load time baseline
+    Given page url - "{fixture}/static"
+    When I load the main page
+    #Assert against the approved baseline for this scenario and network/CPU profile
+    Then the main page load time should not regress more than 15% from baseline
+
+  @WIFI @HighCPU
+  Scenario: Load a late rendered component
+    Given page url - "{fixture}/slow-component?delay=1500"
+    When I load the subcomponents with selectors and text
+      | selector        | expectedText     |
+      | #late-component | Loaded component |
+    #Assert the component appears after its 1.5s render delay
+    Then each subcomponent load time should be less than 4 seconds
+
+  @WIFI @HighCPU
+  Scenario: Load a component filled by a slow API
+    Given page url - "{fixture}/slow-api?delay=1000"
+    When I load the subcomponents with selectors and text
+      | selector    | expectedText |
+      | #api-result | 10 items     |
+    #Assert the component appears after the 1s API delay
+    Then each subcomponent load time should be less than 4 seconds
+
+  @WIFI @HighCPU
+  Scenario: Load a component filled by a slow API while its API handles background load
+    Given page url - "{fixture}/slow-api?delay=1000"
+    And 5 requests per second of background load on "{fixture}/api/data"
+    When I load the subcomponents with selectors and text
+      | selector    | expectedText |
+      | #api-result | 10 items     |
+    #Assert the component still appears after the 1s API delay while the protocol-level load is running
+    Then each subcomponent load time should be less than 4 seconds
+
+  @WIFI @HighCPU
+  Scenario: Load several components of one page together
+    Given page url - "{fixture}/slow-api?delay=1000"
+    #All rows are measured against the same page load, one submetric per row
+    When I load the subcomponents with selectors and text
+      | selector    | expectedText |
+      | h1          | Slow API     |
+      | #api-result | 10 items     |
+      | #item-list  |              |
+    #Assert every row, including the list without an expected text
+    Then each subcomponent load time should be less than 4 seconds
+
+  @WIFI @HighCPU
+  Scenario: Load a fixture page with a layout shift
+    Given page url - "{fixture}/layout-shift?delay=500&height=400"
+    When I load the main page
+    #Assert the late banner is detected as a poor CLS
+    Then CLS should be rated "poor"
+
+  @WIFI @HighCPU
+  Scenario: Load a fixture page with large assets
+    Given page url - "{fixture}/large-asset?size=500"
+    When I load the main page
+    #Assert the resource budgets see the 500 KB script and image
+    Then JavaScript should be under 600 KB
+    And no image should exceed 600 KB
+    And there should be fewer than 5 requests
+
+  @WIFI @HighCPU
+  Scenario: Compare the static fixture page with its visual baseline
+    Given page url - "{fixture}/static"
+    And the region "#content" is masked in visual comparisons
+    When I load the main page
+    #Assert the page looks like its approved snapshot, ignoring the masked paragraph
+    Then the page should visually match baseline "static page" within 1% difference
+
+  @WIFI @HighCPU
+  Scenario: Audit the accessibility fixture page
+    Given page url - "{fixture}/accessibility"
+    When I load the main page
+    #Assert the skipped heading level is the page's only, moderate, violation
+    Then the page should have no accessibility violations of severity serious or higher
+    And component "#article" should have no accessibility violations
+
+  @WIFI @LowCPU
+  Scenario: Measure main thread blocking of a long task
+    Given page url - "{fixture}/long-task?duration=300&clickDuration=150"
+    When I click "#busy-button"
+    Then the results "#task-done" should appear within 3 seconds
+    #Assert the 300ms load task and the 150ms click handler are measured
+    And total blocking time should be less than 2 seconds
+    And the longest task should be less than 2 seconds
+    And interaction latency should be less than 1000 ms
+
+  @WIFI @HighCPU
+  Scenario: Break a slow server response down into navigation phases
+    Given page url - "{fixture}/static?serverDelay=500"
+    When I load the main page
+    #Assert the 500ms server delay shows up in the request phase only
+    Then the request time should be less than 2 seconds
+    And the DNS lookup time should be less than 100 ms
+    And the response download time should be less than 500 ms
+    And the load event time should be less than 3 seconds
+
+  @WIFI @HighCPU
+  Scenario: Wait for custom readiness conditions of an API driven list
+    Given page url - "{fixture}/slow-api?delay=1000"
+    When I load the subcomponents with selectors and text
+      | selector      | minCount | attribute       | hiddenSelector | waitForRequest | stableFor |
+      | #item-list li | 10       |                 | #spinner       | /api/data      | 300       |
+      | #item-list    |          | aria-busy=false |                |                |           |
+    #Assert the list is complete, the spinner gone and the DOM settled after the 1s API delay
+    Then each subcomponent load time should be less than 4 seconds
+
+  @WIFI @HighCPU
+  Scenario: Wait for a loading indicator that renders late
+    Given page url - "{fixture}/late-spinner?spinnerDelay=500&delay=1000"
+    When I load the subcomponents with selectors and text
+      | selector | expectedText | hiddenSelector |
+      | #panel   | Panel        | #panel-spinner |
+    #The panel is visible at once, but only ready once its spinner appeared (0.5s) and went away (1.5s)
+    Then each subcomponent load time should be less than 4 seconds
+
+  @WIFI @HighCPU
+  Scenario: Wait for a loading indicator that never renders
+    Given page url - "{fixture}/late-spinner?spinner=0"
+    When I load the subcomponents with selectors and text
+      | selector | expectedText | hiddenSelector |
+      | #panel   | Panel        | #panel-spinner |
+    #The grace period for the spinner (LOADING_INDICATOR_TIMEOUT, 2s) is waited out but not measured
+    Then each subcomponent load time max should be less than 1 seconds
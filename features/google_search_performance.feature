@@ -21,6 +21,12 @@ Feature: Google Search Performance Testing
     #Assert avg load time until network is idle
     Then the main page load time should be less than 12 seconds
 
+  @Network(Slow_4G) @LowCPU @Mobile
+  Scenario: Load Google homepage and measure page load time on a phone over a slow 4G network
+    When I load the main page
+    #Assert avg load time under the Slow 4G profile from network-profiles.yaml
+    Then the main page load time should be less than 10 seconds
+
   @WIFI @LowCPU
   Scenario: Load Google homepage and measure page load time with CPU throttling
     When I load the main page
@@ -42,3 +48,36 @@ Feature: Google Search Performance Testing
       | body                          | Google          |
     #Assert component avg load time until expected visibility, accessibility conditions are met
     Then each subcomponent load time should be less than 6 seconds
+
+  @WIFI @HighCPU
+  Scenario: Search Google and measure the search results journey
+    When I type "k6 browser performance testing" into "textarea[name='q']"
+    And I press Enter
+    #Assert time from pressing Enter until the results container is visible
+    Then the results "#search" should appear within 10 seconds
+
+  @WIFI @HighCPU
+  Scenario: Load Google homepage and assert Web Vitals
+    When I load the main page
+    #Assert Web Vitals against explicit thresholds and Google's rating bands
+    Then LCP should be less than 2.5 seconds
+    And CLS should be below 0.1
+    And TTFB p95 should be under 800 ms
+    And FCP should be rated "good"
+
+  @WIFI @HighCPU
+  Scenario: Load Google homepage within its resource budgets
+    When I load the main page
+    #Assert transferred bytes and request counts of the heaviest page load
+    Then total transferred bytes should be under 1.5 MB
+    And JavaScript should be under 1 MB
+    And there should be fewer than 60 requests
+    And no image should exceed 200 KB
+
+  @WIFI @HighCPU
+  Scenario: Load Google homepage with logging pings blocked and suggestions mocked
+    Given requests matching "/gen_204" are blocked
+    And requests matching "**/complete/search?**" respond with fixture "empty.json"
+    When I load the main page
+    #Assert avg load time without the flaky dependencies; the network summary lists caught requests
+    Then the main page load time should be less than 5 seconds
@@ -0,0 +1 @@
+// Stands in for a third-party script so the page loads without it
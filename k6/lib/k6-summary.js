@@ -0,0 +1,379 @@
+// End-of-test text summary, a port of textSummary from
+// https://jslib.k6.io/k6-summary/0.1.0/index.js kept in the repository so
+// k6 runs never fetch a remote module and work without network access
+
+const palette = { bold: 1, faint: 2, red: 31, green: 32, cyan: 36 };
+
+const groupPrefix = "█";
+const detailsPrefix = "↳";
+const succMark = "✓";
+const failMark = "✗";
+
+const defaultOptions = {
+  indent: " ",
+  enableColors: true,
+  summaryTimeUnit: null,
+  summaryTrendStats: null,
+};
+
+const unitMap = {
+  s: { unit: "s", coef: 0.001 },
+  ms: { unit: "ms", coef: 1 },
+  us: { unit: "µs", coef: 1000 },
+};
+
+/**
+ * Width of a text on the terminal, without ANSI color codes
+ * @param {string} text - Possibly decorated text
+ * @returns {number} Number of displayed characters
+ */
+function strWidth(text) {
+  return [...text.replace(/\x1b\[[0-9;]*m/g, "")].length;
+}
+
+/**
+ * Formats a check with its pass rate when it failed
+ * @param {string} indent - Line prefix
+ * @param {Object} check - Check of the summary data ({ name, passes, fails })
+ * @param {Function} decorate - Color function
+ * @returns {string} Summary lines of the check
+ */
+function summarizeCheck(indent, check, decorate) {
+  if (check.fails === 0) {
+    return decorate(`${indent}${succMark} ${check.name}`, palette.green);
+  }
+  const succPercent = Math.floor(
+    (100 * check.passes) / (check.passes + check.fails)
+  );
+  return decorate(
+    `${indent}${failMark} ${check.name}\n${indent} ${detailsPrefix}  ${succPercent}% — ${succMark} ${check.passes} / ${failMark} ${check.fails}`,
+    palette.red
+  );
+}
+
+/**
+ * Formats a group with its checks and nested groups
+ * @param {string} indent - Line prefix
+ * @param {Object} group - Group of the summary data
+ * @param {Function} decorate - Color function
+ * @returns {Array<string>} Summary lines of the group
+ */
+function summarizeGroup(indent, group, decorate) {
+  const result = [];
+  if (group.name !== "") {
+    result.push(`${indent}${groupPrefix} ${group.name}`, "");
+    indent = `${indent}  `;
+  }
+  for (const check of group.checks) {
+    result.push(summarizeCheck(indent, check, decorate));
+  }
+  if (group.checks.length > 0) result.push("");
+  for (const nested of group.groups) {
+    result.push(...summarizeGroup(indent, nested, decorate));
+  }
+  return result;
+}
+
+/**
+ * Shows submetrics by their tags only, indented below their metric
+ * @param {string} name - Metric name, e.g. "http_reqs{scenario:ui}"
+ * @returns {string} Displayed name
+ */
+function displayNameForMetric(name) {
+  const subMetricPos = name.indexOf("{");
+  if (subMetricPos >= 0) {
+    return `{ ${name.substring(subMetricPos + 1, name.length - 1)} }`;
+  }
+  return name;
+}
+
+/**
+ * @param {string} name - Metric name
+ * @returns {string} Extra indent of submetrics
+ */
+function indentForMetric(name) {
+  return name.includes("{") ? "  " : "";
+}
+
+/**
+ * @param {number} bytes - Amount of data
+ * @returns {string} Bytes in decimal units, e.g. "1.2 MB"
+ */
+function humanizeBytes(bytes) {
+  const units = ["B", "kB", "MB", "GB", "TB", "PB"];
+  const base = 1000;
+  if (bytes < 10) return `${bytes} B`;
+
+  const exponent = Math.floor(Math.log(bytes) / Math.log(base));
+  const value = Math.floor((bytes / Math.pow(base, exponent)) * 10 + 0.5) / 10;
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[exponent | 0]}`;
+}
+
+/**
+ * @param {number} value - Number to format
+ * @param {number} precision - Maximum number of decimals
+ * @returns {string} Number without trailing zeros
+ */
+function toFixedNoTrailingZeros(value, precision) {
+  return parseFloat(value.toFixed(precision)).toString();
+}
+
+/**
+ * Like toFixedNoTrailingZeros, but truncates instead of rounding
+ * @param {number} value - Number to format
+ * @param {number} precision - Maximum number of decimals
+ * @returns {string} Number without trailing zeros
+ */
+function toFixedNoTrailingZerosTrunc(value, precision) {
+  const multiplier = Math.pow(10, precision);
+  return toFixedNoTrailingZeros(
+    Math.trunc(multiplier * value) / multiplier,
+    precision
+  );
+}
+
+/**
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} Duration in the largest fitting units, e.g. "1m30s"
+ */
+function humanizeGenericDuration(duration) {
+  if (duration === 0) return "0s";
+  if (duration < 0.001) return `${Math.trunc(duration * 1000000)}ns`;
+  if (duration < 1) {
+    return `${toFixedNoTrailingZerosTrunc(duration * 1000, 2)}µs`;
+  }
+  if (duration < 1000) return `${toFixedNoTrailingZerosTrunc(duration, 2)}ms`;
+
+  let result = `${toFixedNoTrailingZerosTrunc(
+    (duration % 60000) / 1000,
+    duration > 60000 ? 0 : 2
+  )}s`;
+  let rest = Math.trunc(duration / 60000);
+  if (rest < 1) return result;
+  result = `${rest % 60}m${result}`;
+  rest = Math.trunc(rest / 60);
+  if (rest < 1) return result;
+  return `${rest}h${result}`;
+}
+
+/**
+ * @param {number} duration - Duration in milliseconds
+ * @param {string|null} timeUnit - Fixed unit (s/ms/us), null picks one per value
+ * @returns {string} Formatted duration
+ */
+function humanizeDuration(duration, timeUnit) {
+  if (timeUnit && unitMap[timeUnit]) {
+    const { unit, coef } = unitMap[timeUnit];
+    return `${(duration * coef).toFixed(2)}${unit}`;
+  }
+  return humanizeGenericDuration(duration);
+}
+
+/**
+ * @param {number} value - Metric value
+ * @param {Object} metric - Metric of the summary data ({ type, contains })
+ * @param {string|null} timeUnit - Fixed time unit
+ * @returns {string} Value formatted for the metric type
+ */
+function humanizeValue(value, metric, timeUnit) {
+  if (metric.type === "rate") {
+    return `${(Math.trunc(value * 100 * 100) / 100).toFixed(2)}%`;
+  }
+  switch (metric.contains) {
+    case "data":
+      return humanizeBytes(value);
+    case "time":
+      return humanizeDuration(value, timeUnit);
+    default:
+      return toFixedNoTrailingZeros(value, 6);
+  }
+}
+
+/**
+ * @param {Object} metric - Counter, gauge or rate of the summary data
+ * @param {string|null} timeUnit - Fixed time unit
+ * @returns {Array<string>} Main value followed by its extras
+ */
+function nonTrendMetricValueForSum(metric, timeUnit) {
+  const { values } = metric;
+  switch (metric.type) {
+    case "counter":
+      return [
+        humanizeValue(values.count, metric, timeUnit),
+        `${humanizeValue(values.rate, metric, timeUnit)}/s`,
+      ];
+    case "gauge":
+      return [
+        humanizeValue(values.value, metric, timeUnit),
+        `min=${humanizeValue(values.min, metric, timeUnit)}`,
+        `max=${humanizeValue(values.max, metric, timeUnit)}`,
+      ];
+    case "rate":
+      return [
+        humanizeValue(values.rate, metric, timeUnit),
+        `${succMark} ${values.passes}`,
+        `${failMark} ${values.fails}`,
+      ];
+    default:
+      return ["[no data]"];
+  }
+}
+
+/**
+ * Sorts metrics by name, each followed by its submetrics
+ * @param {string} first - Metric name
+ * @param {string} second - Metric name
+ * @returns {number} Sort order
+ */
+function compareMetricNames(first, second) {
+  const byParent = first
+    .split("{", 1)[0]
+    .localeCompare(second.split("{", 1)[0]);
+  if (byParent !== 0) return byParent;
+
+  const firstIsSub = first.includes("{");
+  const secondIsSub = second.includes("{");
+  if (firstIsSub && !secondIsSub) return 1;
+  if (!firstIsSub && secondIsSub) return -1;
+  return first.localeCompare(second);
+}
+
+/**
+ * Formats the metrics as aligned columns, marking metrics with thresholds
+ * @param {Object} options - Merged summary options
+ * @param {Object} data - k6 end-of-test summary data
+ * @param {Function} decorate - Color function
+ * @returns {Array<string>} Summary lines of the metrics
+ */
+function summarizeMetrics(options, data, decorate) {
+  const indent = `${options.indent}  `;
+  const trendStats = options.summaryTrendStats;
+  let nameLenMax = 0;
+  const nonTrendValues = {};
+  let nonTrendValueMaxLen = 0;
+  const nonTrendExtras = {};
+  const nonTrendExtraMaxLens = [0, 0];
+  const trendCols = {};
+  const trendColMaxLens = new Array(trendStats.length).fill(0);
+
+  for (const [name, metric] of Object.entries(data.metrics)) {
+    const displayWidth = strWidth(
+      indentForMetric(name) + displayNameForMetric(name)
+    );
+    nameLenMax = Math.max(nameLenMax, displayWidth);
+
+    if (metric.type === "trend") {
+      trendCols[name] = trendStats.map((stat, index) => {
+        const value =
+          stat === "count"
+            ? String(metric.values[stat])
+            : humanizeValue(
+                metric.values[stat],
+                metric,
+                options.summaryTimeUnit
+              );
+        trendColMaxLens[index] = Math.max(
+          trendColMaxLens[index],
+          strWidth(value)
+        );
+        return value;
+      });
+      continue;
+    }
+
+    const [value, ...extras] = nonTrendMetricValueForSum(
+      metric,
+      options.summaryTimeUnit
+    );
+    nonTrendValues[name] = value;
+    nonTrendValueMaxLen = Math.max(nonTrendValueMaxLen, strWidth(value));
+    nonTrendExtras[name] = extras;
+    extras.forEach((extra, index) => {
+      nonTrendExtraMaxLens[index] = Math.max(
+        nonTrendExtraMaxLens[index],
+        strWidth(extra)
+      );
+    });
+  }
+
+  const pad = (text, width) => " ".repeat(Math.max(0, width - strWidth(text)));
+  const formatData = (name) => {
+    if (trendCols[name]) {
+      return trendCols[name]
+        .map(
+          (value, index) =>
+            `${trendStats[index]}=${decorate(value, palette.cyan)}${pad(
+              value,
+              trendColMaxLens[index]
+            )}`
+        )
+        .join(" ");
+    }
+    const value = nonTrendValues[name];
+    const extras = nonTrendExtras[name];
+    let formatted = `${decorate(value, palette.cyan)}${pad(
+      value,
+      nonTrendValueMaxLen
+    )}`;
+    if (extras.length === 1) {
+      formatted += ` ${decorate(extras[0], palette.cyan, palette.faint)}`;
+    } else if (extras.length > 1) {
+      formatted += ` ${extras
+        .map(
+          (extra, index) =>
+            `${decorate(extra, palette.cyan, palette.faint)}${pad(
+              extra,
+              nonTrendExtraMaxLens[index]
+            )}`
+        )
+        .join(" ")}`;
+    }
+    return formatted;
+  };
+
+  return Object.keys(data.metrics)
+    .sort(compareMetricNames)
+    .map((name) => {
+      const { thresholds } = data.metrics[name];
+      let mark = " ";
+      let markColor = (text) => text;
+      if (thresholds) {
+        const failed = Object.values(thresholds).some(({ ok }) => !ok);
+        mark = failed ? failMark : succMark;
+        markColor = (text) =>
+          decorate(text, failed ? palette.red : palette.green);
+      }
+
+      const metricIndent = indentForMetric(name);
+      const displayName = displayNameForMetric(name);
+      const dots = ".".repeat(
+        nameLenMax - strWidth(displayName) - strWidth(metricIndent) + 3
+      );
+      return `${indent}${metricIndent}${markColor(
+        mark
+      )} ${displayName}${decorate(`${dots}:`, palette.faint)} ${formatData(
+        name
+      )}`;
+    });
+}
+
+/**
+ * Renders the k6 end-of-test summary as text, like k6's default summary
+ * @param {Object} data - k6 end-of-test summary data
+ * @param {Object} options - { indent, enableColors, summaryTimeUnit, summaryTrendStats }
+ * @returns {string} Summary text
+ */
+export function textSummary(data, options = {}) {
+  const mergedOptions = { ...defaultOptions, ...data.options, ...options };
+
+  // ANSI colors: the color code followed by optional attributes (faint)
+  const decorate = mergedOptions.enableColors
+    ? (text, color, ...attributes) =>
+        `\x1b[${[color, ...attributes].join(";")}m${text}\x1b[0m`
+    : (text) => text;
+
+  return [
+    ...summarizeGroup(`${mergedOptions.indent}    `, data.root_group, decorate),
+    ...summarizeMetrics(mergedOptions, data, decorate),
+  ].join("\n");
+}
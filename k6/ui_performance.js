@@ -3,7 +3,12 @@ import { check } from "k6";
 import http from "k6/http";
 import { Trend } from "k6/metrics";
 import { group } from "k6";
-import { vu } from "k6/execution";
+import { vu, scenario } from "k6/execution";
+import { textSummary } from "./lib/k6-summary.js";
+
+// Name tags of the HTTP requests a browser iteration makes itself
+const CONNECTIVITY_REQUEST = "connectivity";
+const ARTIFACT_SINK_REQUEST = "artifact sink";
 
 // Enhanced logger with timestamp and VU context
 const logger = {
@@ -19,6 +24,78 @@ const logger = {
   debug: (msg) => console.debug(`[DEBUG] ${logger._getPrefix()} ${msg}`),
 };
 
+/**
+ * Hands a request to the artifact sink of the Cucumber run (see
+ * step_definitions/artifactSink.js)
+ * @param {string} method - PUT for files, POST for artifacts
+ * @param {string} route - Sink route, /files or /artifacts/<kind>
+ * @param {string} body - Request body
+ * @param {string} description - What is sent, for the warnings
+ * @param {Object} headers - Additional request headers
+ * @returns {boolean} True if the sink stored the body
+ */
+function sendToSink(method, route, body, description, headers = {}) {
+  if (!__ENV.ARTIFACT_SINK_URL) {
+    logger.warn(`No artifact sink (ARTIFACT_SINK_URL), ${description} dropped`);
+    return false;
+  }
+  const response = http.request(
+    method,
+    `${__ENV.ARTIFACT_SINK_URL}${route}`,
+    body,
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Artifact-Token": __ENV.ARTIFACT_SINK_TOKEN,
+        ...headers,
+      },
+      // Uploads are no page traffic: no http_req_failed samples, and the
+      // name tag keeps them out of the connectivity submetrics
+      tags: { name: ARTIFACT_SINK_REQUEST },
+      responseCallback: null,
+    }
+  );
+  if (response.status !== 204) {
+    logger.warn(
+      `Could not store ${description}: ${response.status} ${
+        response.body || response.error
+      }`
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Records a run artifact for the result file. VU state is not visible to
+ * handleSummary, so the Cucumber side collects the payloads through the
+ * artifact sink and merges them into the result file after the run.
+ * @param {string} kind - Artifact kind (screenshot/failure/api/profile/session/har/resources/routing/visual/a11y/mainThread/readiness)
+ * @param {Object} payload - JSON serialisable artifact details
+ * @returns {boolean} True if the artifact was recorded
+ */
+function reportArtifact(kind, payload) {
+  return sendToSink(
+    "POST",
+    `/artifacts/${kind}`,
+    JSON.stringify(payload),
+    `${kind} artifact`
+  );
+}
+
+/**
+ * Writes a file through the artifact sink, for the files a VU cannot write
+ * itself (session state, HAR documents)
+ * @param {string} path - File path, relative to the project directory
+ * @param {string} content - File content
+ * @returns {boolean} True if the file was written
+ */
+function writeArtifactFile(path, content) {
+  return sendToSink("PUT", "/files", content, path, {
+    "X-Artifact-Path": path,
+  });
+}
+
 /**
  * Optimized component highlighting with performance improvements
  * @param {Object} page - Browser page instance
@@ -177,6 +254,43 @@ async function removeHighlighting(page) {
   }
 }
 
+/**
+ * Builds the path of a run artifact from the scenario, its tags and the
+ * device, so screenshots and HAR files of one run sort next to each other
+ * @param {Array<string>} details - Artifact specific name parts (test type, status, ...)
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Path below screenshots/
+ */
+function artifactPath(details, extension) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, -5);
+
+  const scenarioName = (__ENV.SCENARIO_NAME || "unknown_scenario")
+    .replace(/[^a-zA-Z0-9\s]/g, "")
+    .replace(/\s+/g, "_")
+    .substring(0, 30);
+
+  const scenarioTags = (__ENV.SCENARIO_TAGS || "")
+    .replace(/[@,]/g, "")
+    .replace(/\s+/g, "_")
+    .substring(0, 20);
+
+  const deviceName = CONFIG.device.name
+    .replace(/[^a-zA-Z0-9\s]/g, "")
+    .replace(/\s+/g, "_");
+
+  const filenameParts = [
+    timestamp,
+    scenarioName,
+    scenarioTags,
+    deviceName,
+    ...details,
+    `VU${vu.idInTest}`,
+    `Iter${vu.iterationInScenario}`,
+  ].filter(Boolean);
+
+  return `screenshots/${filenameParts.join("_")}.${extension}`;
+}
+
 /**
  * Enhanced screenshot function with better file naming and error handling
  * @param {Object} page - Browser page instance
@@ -201,49 +315,21 @@ async function takeScreenshot(
   }
 
   try {
-    const timestamp = new Date()
-      .toISOString()
-      .replace(/[:.]/g, "-")
-      .slice(0, -5);
-    const vuId = vu.idInTest;
-    const iterationId = vu.iterationInScenario;
-
     // Apply highlighting before screenshot if needed
     if (selector && testType === "component" && CONFIG.features.highlighting) {
       await applyHighlighting(page, selector, expectedText);
     }
 
-    // Generate clean filename
-    const scenarioName = (__ENV.SCENARIO_NAME || "unknown_scenario")
-      .replace(/[^a-zA-Z0-9\s]/g, "")
-      .replace(/\s+/g, "_")
-      .substring(0, 30);
-
-    const scenarioTags = (__ENV.SCENARIO_TAGS || "")
-      .replace(/[@,]/g, "")
-      .replace(/\s+/g, "_")
-      .substring(0, 20);
-
     const cleanExpectedText = expectedText
       ? expectedText
           .replace(/[^a-zA-Z0-9\s]/g, "")
           .replace(/\s+/g, "_")
           .substring(0, 15)
       : "";
-
-    const filenameParts = [
-      timestamp,
-      scenarioName,
-      scenarioTags,
-      testType,
-      status,
-      cleanExpectedText,
-      `VU${vuId}`,
-      `Iter${iterationId}`,
-    ].filter(Boolean);
-
-    const filename = `${filenameParts.join("_")}.png`;
-    const screenshotPath = `screenshots/${filename}`;
+    const screenshotPath = artifactPath(
+      [testType, status, cleanExpectedText],
+      "png"
+    );
 
     // Wait for paint to complete
     await page.evaluate(() => {
@@ -267,6 +353,7 @@ async function takeScreenshot(
     logger.info(
       `📸 Screenshot saved: ${screenshotPath} (${testType}/${status})`
     );
+    reportArtifact("screenshot", { path: screenshotPath, testType, status });
     return screenshotPath;
   } catch (error) {
     logger.error(`Failed to take screenshot: ${error.message}`);
@@ -283,31 +370,108 @@ const CONFIG = {
     +__ENV.USER_CONNECTIVITY_TIME || 1000
   ),
   testUrl: __ENV.TEST_URL?.trim(),
-  subcomponentSelector: __ENV.SUBCOMPONENT_SELECTOR?.trim(),
-  expectedText: __ENV.EXPECTED_TEXT?.trim(),
+  // Components measured against the same page load, one tagged submetric each
+  subcomponents: parseSubcomponents(
+    __ENV.SUBCOMPONENTS,
+    __ENV.SUBCOMPONENT_SELECTOR,
+    __ENV.EXPECTED_TEXT
+  ),
+  journey: parseJsonArray(__ENV.JOURNEY_STEPS, "JOURNEY_STEPS"),
+  // Protocol-level HTTP load running next to the browser scenario (optional)
+  backgroundLoad: parseBackgroundLoad(__ENV.BACKGROUND_LOAD),
+  // Full-page snapshot for visual comparison, with dynamic regions masked (optional)
+  visual: {
+    snapshotFile: __ENV.VISUAL_SNAPSHOT_FILE || null,
+    masks: parseJsonArray(__ENV.VISUAL_MASKS, "VISUAL_MASKS"),
+  },
+  // Page ({ selector: null }) and components audited with axe-core after the measurement (optional)
+  accessibility: parseJsonArray(__ENV.A11Y_AUDITS, "A11Y_AUDITS"),
+  // Blocked and mocked requests of the measured page load (optional)
+  routes: parseRouteRules(__ENV.ROUTE_RULES),
+  // Executor and load shape of the browser scenario from load-profiles.yaml (optional)
+  load: parseLoadProfile(__ENV.K6_LOAD_PROFILE),
+  // Login flow from auth-users.yaml; when set the run logs in instead of measuring TEST_URL
+  login: {
+    user: __ENV.LOGIN_USER || null,
+    steps: parseJsonArray(__ENV.LOGIN_STEPS, "LOGIN_STEPS"),
+    username: __ENV.LOGIN_USERNAME || "",
+    password: __ENV.LOGIN_PASSWORD || "",
+  },
   timeouts: {
     domcontentloaded: Math.max(5000, +__ENV.DOM_TIMEOUT || 20000),
     element: Math.max(1000, +__ENV.ELEMENT_TIMEOUT || 10000),
     component: Math.max(1000, +__ENV.COMPONENT_TIMEOUT || 5000),
     http: Math.max(1000, +__ENV.HTTP_TIMEOUT || 5000),
     screenshot: Math.max(200, +__ENV.SCREENSHOT_TIMEOUT || 500),
+    // How long a hiddenSelector indicator may take to appear at all
+    loadingIndicator: Math.max(0, +(__ENV.LOADING_INDICATOR_TIMEOUT ?? 2000)),
   },
   pollInterval: Math.max(50, +__ENV.POLL_INTERVAL || 100),
+  // Throughput in kbps and latency in ms, as defined in network-profiles.yaml
   network: {
     condition: __ENV.K6_NETWORK_CONDITION || "WIFI",
     profile: __ENV.K6_NETWORK_PROFILE || "WiFi",
+    latency: Math.max(0, +(__ENV.K6_NETWORK_LATENCY ?? 2) || 0),
+    download: +(__ENV.K6_NETWORK_DOWNLOAD ?? 30000),
+    upload: +(__ENV.K6_NETWORK_UPLOAD ?? 15000),
   },
   cpu: {
     condition: __ENV.K6_CPU_CONDITION || "HighCPU",
     throttling: Math.max(1, +__ENV.K6_CPU_THROTTLING || 1),
   },
+  // Browser context options from device-profiles.yaml (viewport, deviceScaleFactor, ...)
+  device: {
+    name: __ENV.K6_DEVICE || "Desktop",
+    contextOptions: parseDeviceOptions(__ENV.K6_DEVICE_OPTIONS),
+  },
   features: {
     screenshots: __ENV.ENABLE_SCREENSHOTS !== "false",
     networkLogging: __ENV.ENABLE_NETWORK_LOGGING !== "false",
     highlighting: __ENV.ENABLE_HIGHLIGHTING !== "false",
+    har: __ENV.ENABLE_HAR !== "false",
   },
 };
 
+// Cookies and localStorage of a logged in user, injected into every new context
+const sessionState = __ENV.SESSION_STATE_FILE
+  ? JSON.parse(open(__ENV.SESSION_STATE_FILE))
+  : null;
+
+// axe-core rule engine, injected into the page only after the measurement
+// so it never affects the timings; bundled, audits need no network access
+const AXE_SOURCE =
+  CONFIG.accessibility.length > 0
+    ? open("../node_modules/axe-core/axe.min.js")
+    : null;
+
+// Resource types budgets are grouped by; other Chromium types count as "other"
+const RESOURCE_TYPES = [
+  "document",
+  "script",
+  "stylesheet",
+  "image",
+  "font",
+  "media",
+  "xhr",
+  "fetch",
+  "other",
+];
+
+// Phases of the page's PerformanceNavigationTiming entry as [start, end]
+// marks; the milestones from dom_interactive on are timed from navigation start
+const NAVIGATION_PHASES = {
+  redirect: ["redirectStart", "redirectEnd"],
+  dns: ["domainLookupStart", "domainLookupEnd"],
+  // TCP and TLS handshake
+  connect: ["connectStart", "connectEnd"],
+  // Request sent until the first response byte
+  request: ["requestStart", "responseStart"],
+  download: ["responseStart", "responseEnd"],
+  dom_interactive: ["startTime", "domInteractive"],
+  dom_content_loaded: ["startTime", "domContentLoadedEventEnd"],
+  load_event: ["startTime", "loadEventEnd"],
+};
+
 // Performance metrics with enhanced configuration
 const metrics = {
   mainPageLoadTime: new Trend("main_page_load_time", true),
@@ -315,6 +479,26 @@ const metrics = {
   apiResponseTime: new Trend("api_response_time", true),
   domContentLoadedTime: new Trend("dom_content_loaded_time", true),
   networkIdleTime: new Trend("network_idle_time", true),
+  loginTime: new Trend("login_time", true),
+  // Resource budgets per measured page load; sizes are transferred bytes
+  pageWeightBytes: new Trend("page_weight_bytes"),
+  pageRequests: new Trend("page_requests"),
+  resourceBytes: new Trend("resource_bytes"),
+  resourceRequests: new Trend("resource_requests"),
+  largestResourceBytes: new Trend("largest_resource_bytes"),
+  // Browser-side navigation phases, one Trend per NAVIGATION_PHASES entry
+  navigationPhases: Object.fromEntries(
+    Object.keys(NAVIGATION_PHASES).map((phase) => [
+      phase,
+      new Trend(`navigation_${phase}_time`, true),
+    ])
+  ),
+  // Main thread pressure per measured page load, and latency per interaction
+  totalBlockingTime: new Trend("total_blocking_time", true),
+  longestTask: new Trend("longest_task", true),
+  interactionLatency: new Trend("interaction_latency", true),
+  // One Trend per user journey step, named by the Cucumber step that queued it
+  journeySteps: CONFIG.journey.map((step) => new Trend(step.metric, true)),
 };
 
 // Optimized browser options
@@ -338,19 +522,301 @@ const browserOptions = {
 
 export const options = {
   scenarios: {
-    ui: {
+    ui: buildUiScenario(),
+    ...(CONFIG.backgroundLoad && {
+      background: buildBackgroundScenario(CONFIG.backgroundLoad),
+    }),
+  },
+  // Submetrics only appear in the end-of-test summary when a threshold
+  // references them, so the browser iterations, every component, every
+  // resource type and the background load get one that always passes
+  thresholds: {
+    "iterations{scenario:ui}": ["count>=0"],
+    ...Object.fromEntries(
+      CONFIG.subcomponents.map((_, index) => [
+        `subcomponent_load_time{component:${index + 1}}`,
+        ["max>=0"],
+      ])
+    ),
+    ...Object.fromEntries(
+      RESOURCE_TYPES.flatMap((type) => [
+        [`resource_bytes{type:${type}}`, ["max>=0"]],
+        [`resource_requests{type:${type}}`, ["max>=0"]],
+        [`largest_resource_bytes{type:${type}}`, ["max>=0"]],
+      ])
+    ),
+    // The built-in http metrics of the ui scenario also hold the artifact
+    // sink uploads, the page's own requests are reported on their own
+    [`http_req_duration{name:${CONNECTIVITY_REQUEST}}`]: ["max>=0"],
+    [`http_req_failed{name:${CONNECTIVITY_REQUEST}}`]: ["rate>=0"],
+    ...(CONFIG.backgroundLoad && {
+      "http_req_duration{scenario:background}": ["max>=0"],
+      "http_reqs{scenario:background}": ["count>=0"],
+      "http_req_failed{scenario:background}": ["rate>=0"],
+    }),
+  },
+  // p(75) is the percentile Google uses to rate Web Vitals
+  summaryTrendStats: [
+    "avg",
+    "min",
+    "med",
+    "max",
+    "p(75)",
+    "p(90)",
+    "p(95)",
+    "p(99)",
+  ],
+};
+
+/**
+ * Enhanced utility functions
+ */
+
+/**
+ * Parses a list passed from Cucumber as a JSON array (journey or login
+ * steps, visual masks)
+ * @param {string} rawList - JSON encoded array (optional)
+ * @param {string} variable - Environment variable name for error messages
+ * @returns {Array} Items, empty when none were requested
+ */
+function parseJsonArray(rawList, variable) {
+  if (!rawList) return [];
+
+  try {
+    const items = JSON.parse(rawList);
+    return Array.isArray(items) ? items : [];
+  } catch (error) {
+    throw new Error(`${variable} must be a JSON array: ${error.message}`);
+  }
+}
+
+/**
+ * Parses the background load passed from Cucumber as JSON
+ * @param {string} rawLoad - JSON encoded { url, rate, rampSeconds } (optional)
+ * @returns {Object|null} { url, rate, rampSeconds, warmupSeconds, durationSeconds }
+ */
+function parseBackgroundLoad(rawLoad) {
+  if (!rawLoad) return null;
+
+  let load;
+  try {
+    load = JSON.parse(rawLoad);
+  } catch (error) {
+    throw new Error(`BACKGROUND_LOAD must be a JSON object: ${error.message}`);
+  }
+
+  const rampSeconds = Math.max(0, +load.rampSeconds || 0);
+  return {
+    url: load.url,
+    rate: Math.max(1, Math.round(+load.rate || 1)),
+    rampSeconds,
+    // A ramp is its own warm-up: the browser measures once the peak is reached
+    warmupSeconds:
+      rampSeconds || Math.max(0, +__ENV.BACKGROUND_LOAD_WARMUP || 5),
+    durationSeconds: Math.max(10, +__ENV.BACKGROUND_LOAD_DURATION || 60),
+  };
+}
+
+/**
+ * Builds the arrival-rate scenario that drives the background load
+ * @param {Object} load - CONFIG.backgroundLoad
+ * @returns {Object} k6 scenario configuration
+ */
+function buildBackgroundScenario(load) {
+  const common = {
+    exec: "backgroundLoad",
+    timeUnit: "1s",
+    preAllocatedVUs: Math.max(2, Math.ceil(load.rate / 2)),
+    maxVUs: Math.max(10, load.rate * 2),
+  };
+
+  if (load.rampSeconds === 0) {
+    return {
+      ...common,
+      executor: "constant-arrival-rate",
+      rate: load.rate,
+      duration: `${load.durationSeconds}s`,
+    };
+  }
+
+  return {
+    ...common,
+    executor: "ramping-arrival-rate",
+    startRate: 0,
+    stages: [
+      { target: load.rate, duration: `${load.rampSeconds}s` },
+      {
+        target: load.rate,
+        duration: `${Math.max(1, load.durationSeconds - load.rampSeconds)}s`,
+      },
+    ],
+  };
+}
+
+/**
+ * Parses the request routing rules passed from Cucumber as JSON. Fixture
+ * bodies are read here because open() only works in the init context
+ * @param {string} rawRules - JSON encoded [{ action, pattern, thirdParty, fixture, contentType }] (optional)
+ * @returns {Array<Object>} Rules with a url matcher and the fixture body of mock rules
+ */
+function parseRouteRules(rawRules) {
+  if (!rawRules) return [];
+
+  let rules;
+  try {
+    rules = JSON.parse(rawRules);
+  } catch (error) {
+    throw new Error(`ROUTE_RULES must be a JSON array: ${error.message}`);
+  }
+
+  return rules.map((rule) => ({
+    ...rule,
+    matcher: rule.pattern ? patternToRegExp(rule.pattern) : null,
+    body: rule.action === "mock" ? open(rule.fixture) : null,
+  }));
+}
+
+/**
+ * Converts a request pattern to a regular expression: "/.../" is a regular
+ * expression, a pattern with "*" a glob ("**" spans "/"), anything else
+ * matches as a substring of the url
+ * @param {string} pattern - Pattern from the feature file
+ * @returns {RegExp} Matcher for request urls
+ */
+function patternToRegExp(pattern) {
+  const regExp = pattern.match(/^\/(.+)\/$/);
+  if (regExp) return new RegExp(regExp[1]);
+
+  const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  if (!pattern.includes("*")) return new RegExp(escape(pattern));
+
+  const source = pattern
+    .split("**")
+    .map((part) => part.split("*").map(escape).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Reduces a url to its site (registrable domain), approximated by the last
+ * two host labels, or three for country domains like example.co.uk
+ * @param {string} url - Absolute url
+ * @returns {string|null} Site or null for urls without a host (data:, blob:)
+ */
+function siteOf(url) {
+  const host = url.match(/^[a-z][a-z0-9+.-]*:\/\/([^/:?#]+)/i)?.[1];
+  if (!host) return null;
+  if (/^[\d.]+$/.test(host)) return host;
+
+  const labels = host.toLowerCase().split(".");
+  const countrySecondLevel =
+    labels.length > 2 &&
+    labels[labels.length - 1].length === 2 &&
+    labels[labels.length - 2].length <= 3;
+  return labels.slice(countrySecondLevel ? -3 : -2).join(".");
+}
+
+/**
+ * Parses the load profile passed from Cucumber as JSON
+ * @param {string} rawProfile - JSON encoded { name, executor, ...executor options } (optional)
+ * @returns {Object|null} Load profile, null for VUS/ITERATIONS from k6env.yaml
+ */
+function parseLoadProfile(rawProfile) {
+  if (!rawProfile) return null;
+
+  try {
+    return JSON.parse(rawProfile);
+  } catch (error) {
+    throw new Error(`K6_LOAD_PROFILE must be a JSON object: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the browser scenario from the load profile, or shared iterations of
+ * VUS x ITERATIONS when the scenario has none
+ * @returns {Object} k6 scenario configuration
+ */
+function buildUiScenario() {
+  const common = {
+    options: { browser: browserOptions },
+    // Under background load the browser waits until the load has warmed up
+    startTime: CONFIG.backgroundLoad
+      ? `${CONFIG.backgroundLoad.warmupSeconds}s`
+      : "0s",
+  };
+
+  if (!CONFIG.load) {
+    return {
+      ...common,
       executor: "shared-iterations",
-      options: { browser: browserOptions },
       vus: CONFIG.vus,
       iterations: CONFIG.vus * CONFIG.iterations,
       maxDuration: "10m",
-    },
-  },
-};
+    };
+  }
+
+  const { name, executor, ...executorOptions } = CONFIG.load;
+  // Iteration based executors stop after maxDuration, time based ones
+  // after their own duration or stages
+  const iterationBased = executor.endsWith("-iterations");
+  return {
+    ...common,
+    executor,
+    ...(iterationBased && { maxDuration: "10m" }),
+    ...executorOptions,
+  };
+}
 
 /**
- * Enhanced utility functions
+ * Parses the subcomponents passed from Cucumber as a JSON array
+ * @param {string} rawComponents - JSON encoded [{ selector, expectedText }] (optional)
+ * @param {string} selector - Single SUBCOMPONENT_SELECTOR, used when no array is given
+ * @param {string} expectedText - EXPECTED_TEXT of the single selector
+ * @returns {Array<Object>} Components ({ selector, expectedText }), empty for page measurement
+ */
+function parseSubcomponents(rawComponents, selector, expectedText) {
+  if (!rawComponents) {
+    return selector?.trim()
+      ? [
+          {
+            selector: selector.trim(),
+            expectedText: expectedText?.trim(),
+            conditions: [],
+          },
+        ]
+      : [];
+  }
+
+  try {
+    const components = JSON.parse(rawComponents);
+    return (Array.isArray(components) ? components : []).map((component) => ({
+      selector: component.selector?.trim(),
+      expectedText: component.expectedText?.trim(),
+      conditions: Array.isArray(component.conditions)
+        ? component.conditions
+        : [],
+    }));
+  } catch (error) {
+    throw new Error(`SUBCOMPONENTS must be a JSON array: ${error.message}`);
+  }
+}
+
+/**
+ * Parses the device emulation options passed from Cucumber as JSON
+ * @param {string} rawOptions - JSON encoded browser context options (optional)
+ * @returns {Object} Context options, empty for the browser defaults
  */
+function parseDeviceOptions(rawOptions) {
+  if (!rawOptions) return {};
+
+  try {
+    return JSON.parse(rawOptions);
+  } catch (error) {
+    throw new Error(
+      `K6_DEVICE_OPTIONS must be a JSON object: ${error.message}`
+    );
+  }
+}
 
 /**
  * Validates required environment variables with detailed error messages
@@ -371,12 +837,53 @@ function validateRequiredEnvironmentVariables() {
     }
   }
 
-  if (CONFIG.subcomponentSelector) {
-    // More flexible CSS selector validation - allow any non-empty string that could be a selector
-    const selectorPattern = /^[a-zA-Z0-9\[\]="':._#\-\s\(\),>+~*|^$]+$/;
-    if (!CONFIG.subcomponentSelector.match(selectorPattern)) {
+  // More flexible CSS selector validation - allow any non-empty string that could be a selector
+  const selectorPattern = /^[a-zA-Z0-9\[\]="':._#\-\s\(\),>+~*|^$]+$/;
+  CONFIG.subcomponents.forEach(({ selector, conditions }, index) => {
+    if (!selector || !selector.match(selectorPattern)) {
+      validationErrors.push(
+        `SUBCOMPONENTS[${index}] selector must be a valid CSS selector, got: ${selector}`
+      );
+    }
+    conditions.forEach(({ type }) => {
+      if (!READINESS_CONDITIONS[type]) {
+        validationErrors.push(
+          `SUBCOMPONENTS[${index}] has unknown readiness condition "${type}"`
+        );
+      }
+    });
+  });
+
+  const journeyActions = ["type", "click", "press", "wait"];
+  const validateSteps = (steps, variable, requireMetric) =>
+    steps.forEach((step, index) => {
+      if (!journeyActions.includes(step.action)) {
+        validationErrors.push(
+          `${variable}[${index}] has unknown action "${step.action}"`
+        );
+      }
+      if (step.action !== "press" && !step.selector) {
+        validationErrors.push(
+          `${variable}[${index}] (${step.action}) requires a selector`
+        );
+      }
+      if (requireMetric && !step.metric) {
+        validationErrors.push(`${variable}[${index}] requires a metric name`);
+      }
+    });
+  validateSteps(CONFIG.journey, "JOURNEY_STEPS", true);
+  validateSteps(CONFIG.login.steps, "LOGIN_STEPS", false);
+
+  if (CONFIG.backgroundLoad) {
+    const { url, warmupSeconds, durationSeconds } = CONFIG.backgroundLoad;
+    if (!/^https?:\/\/[^\s]+$/.test(url || "")) {
       validationErrors.push(
-        `SUBCOMPONENT_SELECTOR must be a valid CSS selector, got: ${CONFIG.subcomponentSelector}`
+        `BACKGROUND_LOAD url must be an http(s) URL, got: ${url}`
+      );
+    }
+    if (durationSeconds <= warmupSeconds) {
+      validationErrors.push(
+        `BACKGROUND_LOAD_DURATION (${durationSeconds}s) must be longer than the warm-up/ramp (${warmupSeconds}s)`
       );
     }
   }
@@ -460,7 +967,7 @@ async function typeTextSafe(element, text, fieldName) {
   }
 
   try {
-    await element.clear();
+    await element.fill(""); // ElementHandle has no clear(), fill("") empties the field
     await element.type(text, { delay: 50 }); // Add small delay for more reliable input
     logger.debug(`Successfully typed into ${fieldName}`);
   } catch (error) {
@@ -468,31 +975,227 @@ async function typeTextSafe(element, text, fieldName) {
   }
 }
 
+/**
+ * Converts kbps from the network profile into the bytes per second k6 expects
+ * @param {number} kbps - Throughput in kilobits per second, -1 for unthrottled
+ * @returns {number} Bytes per second, -1 for unthrottled
+ */
+function kbpsToBytesPerSecond(kbps) {
+  return kbps < 0 ? -1 : Math.round((kbps * 1000) / 8);
+}
+
 /**
  * Optimized network and CPU simulation with better error handling
  * @param {Object} context - Browser context
  * @param {Object} page - Browser page instance
+ * @returns {Promise<boolean>} True if all conditions were applied
  */
 async function applySimulationConditions(context, page) {
+  const { network, cpu } = CONFIG;
+
   try {
-    // Apply network simulation
-    if (CONFIG.network.condition && CONFIG.network.condition !== "WIFI") {
-      logger.info(`🌐 Applying ${CONFIG.network.condition} network simulation`);
-      await page.emulateNetworkConditions(CONFIG.network.profile);
-    }
+    // Apply network simulation; every profile, WiFi included, is throttled
+    logger.info(
+      `🌐 Applying ${network.profile} network simulation (latency ${network.latency}ms, down ${network.download}kbps, up ${network.upload}kbps)`
+    );
+    await page.throttleNetwork({
+      latency: network.latency,
+      download: kbpsToBytesPerSecond(network.download),
+      upload: kbpsToBytesPerSecond(network.upload),
+    });
 
     // Apply CPU throttling
-    if (CONFIG.cpu.condition && CONFIG.cpu.throttling > 1) {
+    if (cpu.condition && cpu.throttling > 1) {
       logger.info(
-        `💻 Applying ${CONFIG.cpu.condition} CPU simulation (${CONFIG.cpu.throttling}x throttling)`
+        `💻 Applying ${cpu.condition} CPU simulation (${cpu.throttling}x throttling)`
       );
-      await page.emulateCPUThrottling(CONFIG.cpu.throttling);
+      await page.throttleCPU({ rate: cpu.throttling });
     }
 
+    reportArtifact("profile", {
+      network: network.profile,
+      condition: network.condition,
+      latency: network.latency,
+      download: network.download,
+      upload: network.upload,
+      cpu: cpu.condition,
+      cpuThrottling: cpu.throttling,
+      device: CONFIG.device.name,
+      viewport: CONFIG.device.contextOptions.viewport || null,
+    });
     logger.debug("Simulation conditions applied successfully");
+    return true;
   } catch (error) {
     logger.warn(`Could not apply simulation conditions: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Checks that the navigation really ran under the simulated profile: the
+ * emulation was applied before page.goto and the document request shows at
+ * least the profile's latency
+ * @param {Object} page - Browser page instance
+ * @param {boolean} simulationApplied - Result of applySimulationConditions
+ */
+async function checkSimulationDuringNavigation(page, simulationApplied) {
+  const { network, cpu } = CONFIG;
+  let requestLatency = null;
+
+  try {
+    requestLatency = await page.evaluate(() => {
+      const [navigation] = performance.getEntriesByType("navigation");
+      return navigation
+        ? navigation.responseStart - navigation.requestStart
+        : null;
+    });
+  } catch (error) {
+    logger.debug(`Navigation timing unavailable: ${error.message}`);
+  }
+
+  const latencyObserved =
+    requestLatency === null || requestLatency >= network.latency;
+  const label = `Navigation ran under network "${network.profile}" and CPU ${cpu.condition} (${cpu.throttling}x)`;
+  const passed = check(null, {
+    [label]: () => simulationApplied && latencyObserved,
+  });
+
+  logger.info(
+    `${
+      passed ? "✅" : "❌"
+    } ${label} - applied before navigation: ${simulationApplied}, document request latency: ${
+      requestLatency === null ? "n/a" : `${requestLatency.toFixed(0)}ms`
+    } (profile: ${network.latency}ms)`
+  );
+}
+
+// Readiness conditions from the optional subcomponent data table columns,
+// checked on every poll next to visibility, text and paint. isMet gets the
+// network recording, the condition's own state and the ms since navigation
+// start; a condition that can only tell later that it was met all along sets
+// state.metSince to the elapsed time it was met from. A new column needs an
+// entry here and in step_definitions/readinessConditions.js
+const READINESS_CONDITIONS = {
+  minCount: {
+    describe: ({ count }) => `at least ${count} matching element(s)`,
+    isMet: async (page, selector, { count }) =>
+      (await page.$$(selector)).length >= count,
+  },
+  attribute: {
+    describe: ({ name, value }) =>
+      value === null ? `attribute ${name} is set` : `${name}="${value}"`,
+    isMet: async (page, selector, { name, value }) => {
+      const element = await page.$(selector);
+      if (!element) return false;
+      const actual = await element.getAttribute(name);
+      return value === null ? actual !== null : actual === value;
+    },
+  },
+  hiddenSelector: {
+    describe: ({ selector }) => `${selector} is hidden`,
+    // The indicator must have been seen before it counts as hidden, else a
+    // component is ready before its spinner even rendered. One that never
+    // shows up (cached data) counts as hidden after the grace period, from
+    // the time it was first found hidden, so the wait is not measured
+    isMet: async (page, _, { selector }, { state, elapsed }) => {
+      const element = await page.$(selector);
+      if (element && (await element.isVisible())) {
+        state.seen = true;
+        state.metSince = null;
+        return false;
+      }
+      state.metSince ??= elapsed;
+      return state.seen || elapsed >= CONFIG.timeouts.loadingIndicator;
+    },
+  },
+  waitForRequest: {
+    describe: ({ pattern }) => `request ${pattern} finished`,
+    isMet: (page, _, { pattern }, { recording }) => {
+      const matcher = patternToRegExp(pattern);
+      return recording.entries.some(
+        (entry) => entry._finishedAt && matcher.test(entry.request.url)
+      );
+    },
+  },
+  stableFor: {
+    describe: ({ ms }) => `no DOM mutations for ${ms}ms`,
+    isMet: (page, selector, { ms }) =>
+      page.evaluate(
+        ({ selector, ms }) => {
+          const element = document.querySelector(selector);
+          if (!element) return false;
+          const watched = (window.__k6Stability ||= {});
+          let state = watched[selector];
+          // Re-rendered components get a new element and a new observer
+          if (!state || state.element !== element) {
+            state?.observer.disconnect();
+            state = { element, lastMutation: performance.now() };
+            state.observer = new MutationObserver(() => {
+              state.lastMutation = performance.now();
+            });
+            state.observer.observe(element, {
+              subtree: true,
+              childList: true,
+              attributes: true,
+              characterData: true,
+            });
+            watched[selector] = state;
+          }
+          return performance.now() - state.lastMutation >= ms;
+        },
+        { selector, ms }
+      ),
+  },
+};
+
+/**
+ * Checks the readiness conditions of a component and times them. A condition
+ * is timed from when it was last found met, so one that flips back (a
+ * re-appearing spinner) is timed again
+ * @param {Object} page - Browser page instance
+ * @param {string} selector - CSS selector for the React component
+ * @param {Array<Object>} conditions - Condition states ({ type, settings, state, met, time })
+ * @param {number} measureFrom - Timestamp the times are measured from (navigation start)
+ * @param {Object} recording - Network recording of the page load, for waitForRequest
+ * @returns {Promise<boolean>} True when every condition is met
+ */
+async function updateReadinessConditions(
+  page,
+  selector,
+  conditions,
+  measureFrom,
+  recording
+) {
+  for (const condition of conditions) {
+    const { isMet } = READINESS_CONDITIONS[condition.type];
+    condition.met = await readSafely(
+      () =>
+        isMet(page, selector, condition.settings, {
+          recording,
+          state: condition.state,
+          elapsed: Date.now() - measureFrom,
+        }),
+      false
+    );
+    if (!condition.met) {
+      condition.time = null;
+    } else if (condition.time === null) {
+      condition.time = condition.state.metSince ?? Date.now() - measureFrom;
+    }
   }
+  return conditions.every((condition) => condition.met);
+}
+
+/**
+ * Load time of a component whose checks and conditions all pass: the latest
+ * of the times they started passing. Mostly the current poll, earlier when a
+ * condition was met all along (a loading indicator that never showed up)
+ * @param {number} readySince - Since when the built-in checks pass (ms since navigation start)
+ * @param {Array<Object>} conditions - Met readiness conditions ({ time })
+ * @returns {number} Load time in milliseconds
+ */
+function readyTime(readySince, conditions) {
+  return Math.max(readySince, ...conditions.map(({ time }) => time));
 }
 
 /**
@@ -501,17 +1204,26 @@ async function applySimulationConditions(context, page) {
  * @param {string} selector - CSS selector for the React component
  * @param {string} expectedText - Optional text content to verify
  * @param {number} timeout - Maximum wait time in milliseconds
+ * @param {number} measureFrom - Timestamp the load time is measured from (navigation start)
+ * @param {Array<Object>} conditions - Extra readiness conditions ({ type, ...settings }) from the data table
+ * @param {Object} recording - Network recording of the page load, for waitForRequest conditions
  * @returns {Promise<Object>} Component state and timing information
  */
 async function waitForReactComponentReady(
   page,
   selector,
   expectedText = null,
-  timeout = CONFIG.timeouts.component
+  timeout = CONFIG.timeouts.component,
+  measureFrom = Date.now(),
+  conditions = [],
+  recording = null
 ) {
   const startTime = Date.now();
   let lastCheckTime = 0;
   const minCheckInterval = Math.max(50, CONFIG.pollInterval);
+  // Since when the visibility, text and paint checks pass without a break,
+  // in ms since measureFrom
+  let readySince = null;
 
   const componentState = {
     isVisible: false,
@@ -520,6 +1232,15 @@ async function waitForReactComponentReady(
     containsExpectedText: false,
     expectedTextIsVisible: false,
     paintWorkCompleted: false,
+    conditions: conditions.map(({ type, ...settings }) => ({
+      type,
+      settings,
+      description: READINESS_CONDITIONS[type].describe(settings),
+      // Kept between polls by conditions that need it (hiddenSelector)
+      state: {},
+      met: false,
+      time: null,
+    })),
     loadTime: 0,
   };
 
@@ -534,6 +1255,17 @@ async function waitForReactComponentReady(
         continue;
       }
       lastCheckTime = now;
+      const wasReadySince = readySince;
+      readySince = null;
+
+      // Timed independently of the built-in checks below
+      const conditionsMet = await updateReadinessConditions(
+        page,
+        selector,
+        componentState.conditions,
+        measureFrom,
+        recording
+      );
 
       const element = await page.$(selector);
       if (!element) {
@@ -578,7 +1310,13 @@ async function waitForReactComponentReady(
                 page
               );
               if (componentState.paintWorkCompleted) {
-                componentState.loadTime = Date.now() - startTime;
+                readySince = wasReadySince ?? Date.now() - measureFrom;
+              }
+              if (componentState.paintWorkCompleted && conditionsMet) {
+                componentState.loadTime = readyTime(
+                  readySince,
+                  componentState.conditions
+                );
                 logger.debug(`Component ready in ${componentState.loadTime}ms`);
                 break;
               }
@@ -589,9 +1327,15 @@ async function waitForReactComponentReady(
           componentState.containsExpectedText = true;
           componentState.expectedTextIsVisible = true;
           componentState.paintWorkCompleted = await checkPaintCompletion(page);
-
           if (componentState.paintWorkCompleted) {
-            componentState.loadTime = Date.now() - startTime;
+            readySince = wasReadySince ?? Date.now() - measureFrom;
+          }
+
+          if (componentState.paintWorkCompleted && conditionsMet) {
+            componentState.loadTime = readyTime(
+              readySince,
+              componentState.conditions
+            );
             logger.debug(`Component ready in ${componentState.loadTime}ms`);
             break;
           }
@@ -605,7 +1349,7 @@ async function waitForReactComponentReady(
   }
 
   if (!componentState.loadTime) {
-    componentState.loadTime = Date.now() - startTime;
+    componentState.loadTime = Date.now() - measureFrom;
     logger.warn(
       `Component readiness timeout after ${componentState.loadTime}ms`
     );
@@ -664,6 +1408,14 @@ function performReactComponentChecks(componentState, expectedText, selector) {
       s.expectedTextIsVisible === true;
   }
 
+  // Data table conditions, logged with the time each one was met at
+  const conditionTimes = {};
+  componentState.conditions.forEach((condition, index) => {
+    const name = `Readiness: ${condition.description}`;
+    checks[name] = (s) => s.conditions[index].met === true;
+    conditionTimes[name] = condition.time;
+  });
+
   const checkResults = check(componentState, checks);
   const failedChecks = Object.entries(checks)
     .filter(([, fn]) => !fn(componentState))
@@ -678,7 +1430,12 @@ function performReactComponentChecks(componentState, expectedText, selector) {
 
     Object.entries(checks).forEach(([name, fn]) => {
       const passed = fn(componentState);
-      logger.info(`${passed ? "✅" : "❌"} ${name}`);
+      const time = conditionTimes[name];
+      logger.info(
+        `${passed ? "✅" : "❌"} ${name}${
+          typeof time === "number" ? ` (after ${time}ms)` : ""
+        }`
+      );
     });
 
     if (failedChecks.length === 0) {
@@ -698,27 +1455,98 @@ function performReactComponentChecks(componentState, expectedText, selector) {
 }
 
 /**
- * Optimized component performance measurement
+ * Measures all components against the same page load. They are awaited
+ * concurrently, so a fast component is not timed after a slow one.
+ * @param {Object} page - Browser page instance
+ * @param {Array<Object>} components - Components ({ selector, expectedText })
+ * @param {number} navigationStart - Timestamp taken right before page.goto
+ * @returns {Promise<Array<Object>>} Per-component { component, selector, loadTime }
+ * @throws {Error} If any component failed its checks, after all were measured
+ */
+async function measureReactComponentsPerformance(
+  page,
+  components,
+  navigationStart,
+  recording
+) {
+  logger.info(
+    `🎯 Measuring ${components.length} component(s) in one page load`
+  );
+
+  const states = await Promise.all(
+    components.map(({ selector, expectedText, conditions }) =>
+      waitForReactComponentReady(
+        page,
+        selector,
+        expectedText,
+        CONFIG.timeouts.component,
+        navigationStart,
+        conditions,
+        recording
+      )
+    )
+  );
+
+  // Checks, metrics and screenshots run one component at a time
+  const results = [];
+  const errors = [];
+  for (const [index, { selector, expectedText }] of components.entries()) {
+    try {
+      const loadTime = await measureReactComponentPerformance(
+        page,
+        index + 1,
+        selector,
+        expectedText,
+        states[index]
+      );
+      results.push({ component: index + 1, selector, loadTime });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+  return results;
+}
+
+/**
+ * Validates a measured component and records its load time
  * @param {Object} page - Browser page instance
+ * @param {number} component - 1-based position of the component, tags its submetric
  * @param {string} selector - CSS selector for the React component
  * @param {string} expectedText - Optional expected text content
+ * @param {Object} componentState - State from waitForReactComponentReady
  * @returns {Promise<number>} Component load time in milliseconds
  */
-async function measureReactComponentPerformance(page, selector, expectedText) {
+async function measureReactComponentPerformance(
+  page,
+  component,
+  selector,
+  expectedText,
+  componentState
+) {
   logger.info(`🎯 Measuring component performance: ${selector}`);
   if (expectedText) {
     logger.info(`📝 Expected text: "${expectedText}"`);
   }
 
-  const componentState = await waitForReactComponentReady(
-    page,
-    selector,
-    expectedText
-  );
+  if (componentState.conditions.length > 0) {
+    reportArtifact("readiness", {
+      component,
+      conditions: componentState.conditions.map(
+        ({ type, description, met, time }) => ({ type, description, met, time })
+      ),
+    });
+  }
 
   try {
     performReactComponentChecks(componentState, expectedText, selector);
-    metrics.subcomponentLoadTime.add(componentState.loadTime);
+    metrics.subcomponentLoadTime.add(componentState.loadTime, {
+      component: String(component),
+      selector,
+    });
 
     logger.info(`🎯 Component load time: ${componentState.loadTime}ms`);
 
@@ -747,9 +1575,10 @@ async function measureReactComponentPerformance(page, selector, expectedText) {
 /**
  * Optimized page performance measurement with multiple load states
  * @param {Object} page - Browser page instance
+ * @param {number} navigationStart - Timestamp taken right before page.goto
  * @returns {Promise<Object>} Object containing timing details
  */
-async function measureReactPagePerformance(page) {
+async function measureReactPagePerformance(page, navigationStart) {
   const timings = {
     domContentLoaded: 0,
     networkIdle: 0,
@@ -757,13 +1586,12 @@ async function measureReactPagePerformance(page) {
     networkIdleSuccess: false,
   };
 
-  const startTime = Date.now();
+  const startTime = navigationStart;
 
   try {
-    // Measure DOM content loaded time
-    const domStartTime = Date.now();
+    // Measure DOM content loaded time from navigation start
     await page.waitForLoadState("domcontentloaded");
-    timings.domContentLoaded = Date.now() - domStartTime;
+    timings.domContentLoaded = Date.now() - startTime;
     metrics.domContentLoadedTime.add(timings.domContentLoaded);
 
     // Measure network idle time
@@ -803,16 +1631,785 @@ async function measureReactPagePerformance(page) {
 }
 
 /**
- * Optimized main UI performance measurement with enhanced network logging
+ * Records the phases of the navigation from the browser's
+ * PerformanceNavigationTiming entry. Unlike the Date.now() deltas above they
+ * are measured by the browser, including everything before page.goto resolves
  * @param {Object} page - Browser page instance
+ * @returns {Promise<Object|null>} Phase durations in ms, null when the entry is missing
  */
-async function measureReactUIPerformance(page) {
-  const networkLogs = [];
-  const requestTimings = new Map();
-  const apiMethods = ["GET", "POST", "PUT", "PATCH", "DELETE"];
-
-  // Set up network monitoring if enabled
-  if (CONFIG.features.networkLogging) {
+async function collectNavigationTiming(page) {
+  try {
+    // The load event phase only ends once the load event handlers ran
+    await page.waitForLoadState("load", {
+      timeout: CONFIG.timeouts.domcontentloaded,
+    });
+  } catch (error) {
+    logger.warn(`Load event not reached: ${error.message}`);
+  }
+
+  try {
+    const entry = await page.evaluate(() => {
+      const [navigation] = performance.getEntriesByType("navigation");
+      return navigation ? navigation.toJSON() : null;
+    });
+    if (!entry) {
+      logger.warn("No navigation timing entry, phases not recorded");
+      return null;
+    }
+
+    const phases = {};
+    for (const [phase, [start, end]] of Object.entries(NAVIGATION_PHASES)) {
+      // Milestones the page has not reached yet are 0
+      if (start === "startTime" && !entry[end]) continue;
+      phases[phase] = Math.max(0, entry[end] - entry[start]);
+      metrics.navigationPhases[phase].add(phases[phase]);
+    }
+
+    logger.info(
+      `⏱️ Navigation timing - ${Object.entries(phases)
+        .map(([phase, duration]) => `${phase}: ${duration.toFixed(0)}ms`)
+        .join(", ")}`
+    );
+    return phases;
+  } catch (error) {
+    logger.error(`Failed to read navigation timing: ${error.message}`);
+    return null;
+  }
+}
+
+// Collects long tasks, long animation frames and interactions from the first
+// script on; installed as an init script so nothing before the load is missed
+const MAIN_THREAD_OBSERVER = `(() => {
+  const state = { longTasks: [], longAnimationFrames: [], interactions: [] };
+  const handlers = {
+    longtask: (entry) =>
+      state.longTasks.push({ start: entry.startTime, duration: entry.duration }),
+    "long-animation-frame": (entry) =>
+      state.longAnimationFrames.push({
+        start: entry.startTime,
+        duration: entry.duration,
+        blockingDuration: entry.blockingDuration,
+        scripts: (entry.scripts || []).map((script) => ({
+          invoker: script.invoker,
+          sourceURL: script.sourceURL,
+          duration: script.duration,
+        })),
+      }),
+    event: (entry) => {
+      if (!entry.interactionId) return;
+      state.interactions.push({
+        id: entry.interactionId,
+        name: entry.name,
+        start: entry.startTime,
+        duration: entry.duration,
+      });
+    },
+  };
+  const observers = [];
+  for (const [type, handle] of Object.entries(handlers)) {
+    try {
+      const observer = new PerformanceObserver((list) =>
+        list.getEntries().forEach(handle)
+      );
+      // 16 ms is the lowest duration the Event Timing API reports
+      observer.observe({ type, buffered: true, durationThreshold: 16 });
+      observers.push([observer, handle]);
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  }
+  // Delivers entries the observers have not been called back with yet
+  state.flush = () =>
+    observers.forEach(([observer, handle]) =>
+      observer.takeRecords().forEach(handle)
+    );
+  window.__k6MainThread = state;
+})();`;
+
+// Main thread work above 50 ms counts as blocking, as in Lighthouse
+const LONG_TASK_THRESHOLD = 50;
+
+/**
+ * Computes Total Blocking Time and the longest task of the page load and
+ * records them. TBT sums the part of every long task above 50 ms between
+ * First Contentful Paint and the end of the measurement
+ * @param {Object} page - Browser page instance
+ * @returns {Promise<Object|null>} { totalBlockingTime, longestTask, longTasks, longAnimationFrames, worstFrame }, null when the observer is missing
+ */
+async function collectMainThreadMetrics(page) {
+  try {
+    const mainThread = await page.evaluate((threshold) => {
+      const state = window.__k6MainThread;
+      if (!state) return null;
+      state.flush();
+
+      const fcp =
+        performance.getEntriesByName("first-contentful-paint")[0]?.startTime ||
+        0;
+      const totalBlockingTime = state.longTasks.reduce(
+        (total, { start, duration }) => {
+          // Only the part of a task after FCP blocks a visible page
+          const afterFcp = start + duration - Math.max(start, fcp);
+          return total + Math.max(0, afterFcp - threshold);
+        },
+        0
+      );
+      const worstFrame = state.longAnimationFrames.reduce(
+        (worst, frame) =>
+          !worst || frame.blockingDuration > worst.blockingDuration
+            ? frame
+            : worst,
+        null
+      );
+
+      return {
+        totalBlockingTime,
+        longestTask: Math.max(
+          0,
+          ...state.longTasks.map(({ duration }) => duration)
+        ),
+        longTasks: state.longTasks.length,
+        longAnimationFrames: state.longAnimationFrames.length,
+        // Scripts that kept the worst frame busy, slowest first
+        worstFrame: worstFrame && {
+          ...worstFrame,
+          scripts: worstFrame.scripts
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, 3),
+        },
+      };
+    }, LONG_TASK_THRESHOLD);
+
+    if (!mainThread) {
+      logger.warn("Main thread observer not installed, no TBT recorded");
+      return null;
+    }
+
+    metrics.totalBlockingTime.add(mainThread.totalBlockingTime);
+    metrics.longestTask.add(mainThread.longestTask);
+    logger.info(
+      `🧵 Main thread: TBT ${mainThread.totalBlockingTime.toFixed(
+        0
+      )}ms, longest task ${mainThread.longestTask.toFixed(0)}ms, ${
+        mainThread.longTasks
+      } long task(s), ${mainThread.longAnimationFrames} long animation frame(s)`
+    );
+    const slowestScript = mainThread.worstFrame?.scripts[0];
+    if (slowestScript) {
+      logger.info(
+        `🧵 Slowest script in the worst frame: ${
+          slowestScript.invoker || "unknown invoker"
+        } (${slowestScript.duration.toFixed(0)}ms) ${slowestScript.sourceURL}`
+      );
+    }
+    reportArtifact("mainThread", mainThread);
+    return mainThread;
+  } catch (error) {
+    logger.error(`Failed to collect main thread metrics: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reads the latency of the interactions since a point in time, like INP:
+ * from input to the next paint, the slowest interaction counts. Interactions
+ * under 16 ms are not reported by the browser and count as 0
+ * @param {Object} page - Browser page instance
+ * @param {number} since - performance.now() of the page before the interaction
+ * @returns {Promise<number>} Latency in milliseconds
+ */
+async function measureInteractionLatency(page, since) {
+  try {
+    return await page.evaluate(async (start) => {
+      const state = window.__k6MainThread;
+      if (!state) return 0;
+      // Event timings are reported once the next frame has been painted
+      await new Promise((resolve) =>
+        requestAnimationFrame(() =>
+          requestAnimationFrame(() => setTimeout(resolve, 0))
+        )
+      );
+      state.flush();
+      return Math.max(
+        0,
+        ...state.interactions
+          .filter((interaction) => interaction.start >= start)
+          .map(({ duration }) => duration)
+      );
+    }, since);
+  } catch (error) {
+    logger.warn(`Failed to measure interaction latency: ${error.message}`);
+    return 0;
+  }
+}
+
+// Header values that carry credentials are never written to HAR files
+const HAR_REDACTED_HEADERS = ["authorization", "cookie", "set-cookie"];
+
+/**
+ * Converts a header object to HAR name/value pairs, redacting credentials
+ * @param {Object} headers - Header map of a request or response
+ * @returns {Array<Object>} [{ name, value }]
+ */
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({
+    name,
+    value: HAR_REDACTED_HEADERS.includes(name.toLowerCase())
+      ? "[redacted]"
+      : String(value),
+  }));
+}
+
+/**
+ * Calls a browser API that may be missing or fail once the page is gone
+ * @param {Function} read - Function reading the value (sync or async)
+ * @param {*} fallback - Value returned when the read fails
+ * @returns {Promise<*>} Value or fallback
+ */
+async function readSafely(read, fallback) {
+  try {
+    const value = await read();
+    return value ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Converts k6 request timing (ms relative to startTime, -1 when unknown)
+ * to HAR timing phases
+ * @param {Object} timing - Result of request.timing()
+ * @returns {Object} { blocked, dns, connect, ssl, send, wait, receive }
+ */
+function toHarTimings(timing) {
+  const phase = (start, end) =>
+    start >= 0 && end >= start ? Math.round((end - start) * 1000) / 1000 : -1;
+  const {
+    domainLookupStart = -1,
+    domainLookupEnd = -1,
+    connectStart = -1,
+    secureConnectionStart = -1,
+    connectEnd = -1,
+    requestStart = -1,
+    responseStart = -1,
+    responseEnd = -1,
+  } = timing || {};
+  const firstPhase = [domainLookupStart, connectStart, requestStart].find(
+    (value) => value >= 0
+  );
+
+  return {
+    blocked: firstPhase === undefined ? -1 : phase(0, firstPhase),
+    dns: phase(domainLookupStart, domainLookupEnd),
+    // HAR counts the TLS handshake in connect as well
+    connect: phase(connectStart, connectEnd),
+    ssl: phase(secureConnectionStart, connectEnd),
+    send: requestStart >= 0 ? 0 : -1,
+    wait: phase(requestStart, responseStart),
+    receive: phase(responseStart, responseEnd),
+  };
+}
+
+/**
+ * Records every request of a page as HAR 1.2 entries, the source of both
+ * the HAR file and the resource budgets
+ * @param {Object} page - Browser page instance
+ * @returns {Object} { entries, pending } filled while the page loads
+ */
+function recordNetwork(page) {
+  // Open entries keyed by their Request object, in the order they started
+  const recording = { entries: [], pending: new Map() };
+
+  /**
+   * Finds the open entry of a request. When k6 hands out a new wrapper for
+   * the same request, the oldest open entry with its method and url that is
+   * still waiting is used, so repeated requests to one url keep their order
+   * @param {Object} req - Request of the event
+   * @param {Function} isWaiting - Whether an entry still waits for this event
+   * @returns {Array|null} [key, entry] or null for unknown requests
+   */
+  const findPending = (req, isWaiting) => {
+    if (recording.pending.has(req)) return [req, recording.pending.get(req)];
+    const method = req.method();
+    const url = req.url();
+    for (const [key, entry] of recording.pending) {
+      if (
+        entry.request.method === method &&
+        entry.request.url === url &&
+        isWaiting(entry)
+      ) {
+        return [key, entry];
+      }
+    }
+    return null;
+  };
+
+  page.on("request", (req) => {
+    const startedAt = Date.now();
+    const headers = req.headers();
+    const url = req.url();
+    const entry = {
+      pageref: "page_1",
+      startedDateTime: new Date(startedAt).toISOString(),
+      time: -1,
+      request: {
+        method: req.method(),
+        url,
+        httpVersion: "",
+        cookies: [],
+        headers: toHarHeaders(headers),
+        queryString: [...url.matchAll(/[?&]([^=&#]+)=?([^&#]*)/g)].map(
+          ([, name, value]) => ({ name, value })
+        ),
+        headersSize: -1,
+        bodySize: 0,
+      },
+      response: null,
+      cache: {},
+      timings: toHarTimings(null),
+      _resourceType: req.resourceType(),
+      // k6 does not expose the CDP initiator; the referer names the document
+      // or stylesheet that requested the resource
+      _initiator: {
+        type: req.isNavigationRequest() ? "navigation" : "other",
+        url: headers.referer || null,
+      },
+      _startedAt: startedAt,
+    };
+    // Request bodies carry login forms and tokens like the redacted headers
+    const postData = req.postData();
+    if (postData) {
+      entry.request.postData = {
+        mimeType: headers["content-type"] || "",
+        text: "[redacted]",
+      };
+      entry.request.bodySize = postData.length;
+    }
+    recording.entries.push(entry);
+    recording.pending.set(req, entry);
+  });
+
+  page.on("response", async (res) => {
+    const req = res.request();
+    const [, entry] = findPending(req, (open) => !open.response) || [];
+    if (!entry) return;
+    // The response is set before the sizes are read, so a second response
+    // to the same url never claims this entry
+    const headers = res.headers();
+    const response = {
+      status: res.status(),
+      statusText: res.statusText(),
+      httpVersion: "",
+      cookies: [],
+      headers: toHarHeaders(headers),
+      content: {
+        size: -1,
+        mimeType: headers["content-type"] || "x-unknown",
+      },
+      redirectURL: headers.location || "",
+      headersSize: -1,
+      bodySize: -1,
+    };
+    entry.response = response;
+    entry.timings = toHarTimings(req.timing());
+
+    const sizes = await readSafely(() => res.size(), {});
+    const server = await readSafely(() => res.serverAddr(), null);
+    response.content.size = sizes.body ?? -1;
+    response.headersSize = sizes.headers ?? -1;
+    response.bodySize = sizes.body ?? -1;
+    if (server?.ipAddress) entry.serverIPAddress = server.ipAddress;
+  });
+
+  page.on("requestfinished", (req) => {
+    const [key, entry] = findPending(req, (open) => !!open.response) || [];
+    if (!entry) return;
+    // responseEnd is only known once the body has been received
+    entry.timings = toHarTimings(req.timing());
+    entry._finishedAt = Date.now();
+    recording.pending.delete(key);
+  });
+
+  page.on("requestfailed", async (req) => {
+    const [key, entry] = findPending(req, () => true) || [];
+    if (!entry) return;
+    recording.pending.delete(key);
+    entry.timings = toHarTimings(req.timing());
+    const failure = await readSafely(() => req.failure(), null);
+    entry._failureText = failure?.errorText || "Request failed";
+  });
+
+  return recording;
+}
+
+/**
+ * Maps a Chromium resource type to the types budgets are grouped by
+ * @param {string} resourceType - Resource type reported by the browser
+ * @returns {string} One of RESOURCE_TYPES
+ */
+function budgetResourceType(resourceType) {
+  return RESOURCE_TYPES.includes(resourceType) ? resourceType : "other";
+}
+
+/**
+ * Adds the transferred bytes and request counts of a page load, in total and
+ * per resource type, and reports the largest resources for budget messages
+ * @param {Array<Object>} entries - HAR entries recorded by recordNetwork
+ */
+function reportResourceUsage(entries) {
+  const byType = Object.fromEntries(
+    RESOURCE_TYPES.map((type) => [
+      type,
+      { bytes: 0, requests: 0, largest: null },
+    ])
+  );
+
+  for (const entry of entries) {
+    const usage = byType[budgetResourceType(entry._resourceType)];
+    const { headersSize = -1, bodySize = -1 } = entry.response || {};
+    const bytes = Math.max(0, headersSize) + Math.max(0, bodySize);
+    usage.bytes += bytes;
+    usage.requests += 1;
+    if (!usage.largest || bytes > usage.largest.bytes) {
+      usage.largest = { url: entry.request.url, bytes };
+    }
+  }
+
+  const types = Object.entries(byType);
+  const totalBytes = types.reduce((total, [, { bytes }]) => total + bytes, 0);
+  metrics.pageWeightBytes.add(totalBytes);
+  metrics.pageRequests.add(entries.length);
+  for (const [type, { bytes, requests, largest }] of types) {
+    metrics.resourceBytes.add(bytes, { type });
+    metrics.resourceRequests.add(requests, { type });
+    if (largest) metrics.largestResourceBytes.add(largest.bytes, { type });
+  }
+
+  reportArtifact("resources", {
+    totalBytes,
+    requests: entries.length,
+    byType,
+  });
+  logger.info(
+    `📦 Page weight: ${(totalBytes / 1024).toFixed(1)} KB in ${
+      entries.length
+    } requests (${types
+      .filter(([, { requests }]) => requests > 0)
+      .map(
+        ([type, { bytes, requests }]) =>
+          `${type} ${(bytes / 1024).toFixed(1)} KB/${requests}`
+      )
+      .join(", ")})`
+  );
+}
+
+/**
+ * Builds the HAR 1.2 document of a recorded page load
+ * @param {Object} page - Browser page instance
+ * @param {Object} recording - Result of recordNetwork
+ * @param {number} navigationStart - Time the navigation started
+ * @returns {Promise<Object>} HAR document
+ */
+async function buildHar(page, recording, navigationStart) {
+  const pageTimings = await readSafely(
+    () =>
+      page.evaluate(() => {
+        const [navigation] = performance.getEntriesByType("navigation");
+        return {
+          onContentLoad: navigation?.domContentLoadedEventEnd || -1,
+          onLoad: navigation?.loadEventEnd || -1,
+        };
+      }),
+    { onContentLoad: -1, onLoad: -1 }
+  );
+
+  const entries = recording.entries.map(
+    ({ _startedAt, _finishedAt, ...entry }) => {
+      // Requests without a response were cancelled or still open when the
+      // measurement ended; HAR viewers expect a response object regardless
+      const response = entry.response || {
+        status: 0,
+        statusText: entry._failureText || "No response",
+        httpVersion: "",
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: "x-unknown" },
+        redirectURL: "",
+        headersSize: -1,
+        bodySize: -1,
+      };
+      const time = Object.entries(entry.timings)
+        .filter(([phase, value]) => phase !== "ssl" && value > 0)
+        .reduce((total, [, value]) => total + value, 0);
+      return { ...entry, response, time };
+    }
+  );
+
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "ui_performance_cucumber_k6_browser", version: "1.0.0" },
+      browser: { name: "chromium", version: "" },
+      pages: [
+        {
+          startedDateTime: new Date(navigationStart).toISOString(),
+          id: "page_1",
+          title: CONFIG.testUrl,
+          pageTimings,
+        },
+      ],
+      entries,
+    },
+  };
+}
+
+/**
+ * Saves the HAR of a measured page load next to the screenshots. The
+ * document is written through the artifact sink; the artifact only carries
+ * its path and counts
+ * @param {Object} page - Browser page instance
+ * @param {Object} recording - Result of recordNetwork
+ * @param {number} navigationStart - Time the navigation started
+ */
+async function reportHar(page, recording, navigationStart) {
+  const har = await buildHar(page, recording, navigationStart);
+  const harPath = artifactPath(["network"], "har");
+  const { entries } = har.log;
+  const failed = entries.filter(({ response }) => response.status === 0);
+  if (!writeArtifactFile(harPath, JSON.stringify(har, null, 2))) return;
+
+  reportArtifact("har", {
+    path: harPath,
+    entries: entries.length,
+    failed: failed.length,
+  });
+  logger.info(
+    `🗂️ HAR saved: ${harPath} (${entries.length} requests, ${failed.length} failed)`
+  );
+}
+
+/**
+ * Captures the full-page snapshot compared against the visual baseline.
+ * Masked regions are covered with solid boxes and animations are frozen, so
+ * only real layout and content changes show up in the comparison
+ * @param {Object} page - Browser page instance
+ */
+async function captureVisualSnapshot(page) {
+  const { snapshotFile, masks } = CONFIG.visual;
+  try {
+    const masked = await page.evaluate((selectors) => {
+      const style = document.createElement("style");
+      style.setAttribute("data-visual-snapshot", "");
+      style.textContent =
+        "*, *::before, *::after { animation-play-state: paused !important; transition: none !important; caret-color: transparent !important; }";
+      document.head.appendChild(style);
+
+      let count = 0;
+      for (const selector of selectors) {
+        for (const element of document.querySelectorAll(selector)) {
+          const rect = element.getBoundingClientRect();
+          const box = document.createElement("div");
+          box.setAttribute("data-visual-snapshot", "");
+          Object.assign(box.style, {
+            position: "absolute",
+            left: `${rect.left + window.scrollX}px`,
+            top: `${rect.top + window.scrollY}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+            background: "#ff00ff",
+            zIndex: "2147483647",
+            pointerEvents: "none",
+          });
+          document.body.appendChild(box);
+          count++;
+        }
+      }
+      return count;
+    }, masks);
+
+    // Wait for paint to complete
+    await page.evaluate(
+      () =>
+        new Promise((resolve) =>
+          requestAnimationFrame(() => requestAnimationFrame(resolve))
+        )
+    );
+    await page.screenshot({ path: snapshotFile, fullPage: true });
+    await page.evaluate(() =>
+      document
+        .querySelectorAll("[data-visual-snapshot]")
+        .forEach((element) => element.remove())
+    );
+
+    logger.info(
+      `🖼️ Visual snapshot saved: ${snapshotFile} (${masked} masked element(s))`
+    );
+    reportArtifact("visual", { path: snapshotFile, masks, masked });
+  } catch (error) {
+    logger.error(`Failed to capture visual snapshot: ${error.message}`);
+  }
+}
+
+/**
+ * Audits the page and components with axe-core. Violations are logged,
+ * counted as checks and reported with rule, selector and HTML snippet
+ * @param {Object} page - Browser page instance
+ */
+async function auditAccessibility(page) {
+  try {
+    // A function declaration is compiled by the browser protocol, so the
+    // page's Content Security Policy cannot block the injection
+    await page.evaluate(`() => {\n${AXE_SOURCE}\n}`);
+  } catch (error) {
+    logger.error(`Failed to inject axe-core: ${error.message}`);
+    CONFIG.accessibility.forEach(({ selector }) =>
+      reportArtifact("a11y", { selector, violations: [], error: error.message })
+    );
+    return;
+  }
+
+  for (const { selector } of CONFIG.accessibility) {
+    const label = selector ? `component "${selector}"` : "page";
+    try {
+      const violations = await page.evaluate(async (context) => {
+        const results = await window.axe.run(context || document, {
+          resultTypes: ["violations"],
+          // Cross-origin frames have no axe instance and would only time out
+          iframes: false,
+        });
+        return results.violations.flatMap((violation) =>
+          violation.nodes.map((node) => ({
+            rule: violation.id,
+            impact: violation.impact,
+            help: violation.help,
+            helpUrl: violation.helpUrl,
+            selector: node.target.flat().join(" "),
+            snippet: node.html.substring(0, 200),
+          }))
+        );
+      }, selector);
+
+      logger.info(
+        `♿ Accessibility audit of ${label}: ${violations.length} violation(s)`
+      );
+      violations.forEach(({ impact, rule, selector: target, snippet }) =>
+        logger.warn(
+          `♿ [${impact || "unknown"}] ${rule} at ${target}: ${snippet}`
+        )
+      );
+      check(violations, {
+        [`No accessibility violations on ${label}`]: (v) => v.length === 0,
+      });
+      reportArtifact("a11y", { selector, violations });
+    } catch (error) {
+      logger.error(`Accessibility audit of ${label} failed: ${error.message}`);
+      reportArtifact("a11y", {
+        selector,
+        violations: [],
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Installs the blocking and mocking rules on the page; the first matching
+ * rule handles a request, unmatched requests go to the network
+ * @param {Object} page - Browser page instance
+ * @returns {Promise<Array<Object>|null>} Per-rule counters filled while the page loads, null without rules
+ */
+async function installRouteRules(page) {
+  if (CONFIG.routes.length === 0) return null;
+
+  const pageSite = siteOf(CONFIG.testUrl);
+  const matches = (rule, url) => {
+    if (rule.thirdParty) {
+      const site = siteOf(url);
+      return site !== null && site !== pageSite;
+    }
+    return rule.matcher.test(url);
+  };
+  const routing = CONFIG.routes.map(
+    ({ action, pattern, thirdParty, fixture }) => ({
+      action,
+      rule: thirdParty ? `third party (not ${pageSite})` : pattern,
+      fixture: fixture ? fixture.split(/[\\/]/).pop() : null,
+      requests: 0,
+      urls: [],
+    })
+  );
+
+  await page.route(/.*/, async (route) => {
+    const url = route.request().url();
+    const index = CONFIG.routes.findIndex((rule) => matches(rule, url));
+    if (index === -1) {
+      await route.continue();
+      return;
+    }
+
+    const rule = CONFIG.routes[index];
+    routing[index].requests += 1;
+    // A few urls per rule are enough to see what was caught
+    if (routing[index].urls.length < 5) routing[index].urls.push(url);
+
+    if (rule.action === "block") {
+      await route.abort("blockedbyclient");
+    } else {
+      await route.fulfill({
+        status: rule.status || 200,
+        contentType: rule.contentType,
+        body: rule.body,
+      });
+    }
+  });
+
+  logger.info(
+    `🚧 Routing rules installed: ${routing
+      .map(({ action, rule }) => `${action} ${rule}`)
+      .join(", ")}`
+  );
+  return routing;
+}
+
+/**
+ * Logs how many requests each routing rule blocked or mocked and reports
+ * the counts for the network summary of the result file
+ * @param {Array<Object>} routing - Counters returned by installRouteRules
+ */
+function logRoutingSummary(routing) {
+  logger.info("🚧 Routing Summary:");
+  for (const { action, rule, fixture, requests, urls } of routing) {
+    logger.info(
+      `   ${
+        action === "block" ? "⛔ blocked" : "🧪 mocked"
+      } ${requests} request(s) matching ${rule}${
+        fixture ? ` with ${fixture}` : ""
+      }${urls.length > 0 ? `: ${urls.join(", ")}` : ""}`
+    );
+  }
+  reportArtifact("routing", { rules: routing });
+}
+
+/**
+ * Optimized main UI performance measurement with enhanced network logging
+ * @param {Object} page - Browser page instance
+ */
+async function measureReactUIPerformance(page) {
+  const networkLogs = [];
+  const requestTimings = new Map();
+  const apiMethods = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+  // Full traffic of the measured load, for resource budgets and the HAR file
+  const networkRecording = recordNetwork(page);
+
+  // Blocked and mocked requests must be in place before the navigation
+  const routing = await installRouteRules(page);
+
+  // Long tasks and interactions are observed from the first page script on
+  await page.context().addInitScript(MAIN_THREAD_OBSERVER);
+
+  // Set up network monitoring if enabled
+  if (CONFIG.features.networkLogging) {
     page.on("request", (req) => {
       const method =
         typeof req.method === "function" ? req.method() : req.method;
@@ -847,31 +2444,37 @@ async function measureReactUIPerformance(page) {
     });
   }
 
-  // Navigate to the test URL
+  // Apply simulation conditions on the blank page, so the document and its
+  // critical resources are already loaded under the simulated profile
+  const simulationApplied = await applySimulationConditions(null, page);
+
+  // Navigate to the test URL; page and component timings start here
   logger.info(`🚀 Navigating to: ${CONFIG.testUrl}`);
+  const navigationStart = Date.now();
   await page.goto(CONFIG.testUrl, {
     waitUntil: "domcontentloaded",
     timeout: CONFIG.timeouts.domcontentloaded,
   });
 
-  // Apply simulation conditions
-  await applySimulationConditions(null, page);
+  await checkSimulationDuringNavigation(page, simulationApplied);
 
   let result;
 
   // Measure either component or page performance
-  if (CONFIG.subcomponentSelector) {
-    logger.info(`🎯 Measuring subcomponent: ${CONFIG.subcomponentSelector}`);
-    const loadTime = await measureReactComponentPerformance(
+  if (CONFIG.subcomponents.length > 0) {
+    const components = await measureReactComponentsPerformance(
       page,
-      CONFIG.subcomponentSelector,
-      CONFIG.expectedText
+      CONFIG.subcomponents,
+      navigationStart,
+      networkRecording
+    );
+    result = { type: "component", components };
+    components.forEach(({ selector, loadTime }) =>
+      logger.info(`🎯 Subcomponent ${selector} performance: ${loadTime}ms`)
     );
-    result = { type: "component", loadTime };
-    logger.info(`🎯 Subcomponent performance: ${loadTime}ms`);
   } else {
     logger.info(`🚀 Measuring page performance`);
-    const pageResult = await measureReactPagePerformance(page);
+    const pageResult = await measureReactPagePerformance(page, navigationStart);
     result = { type: "page", ...pageResult };
     logger.info(
       `🚀 Page performance: ${pageResult.total}ms (Network idle: ${
@@ -880,14 +2483,260 @@ async function measureReactUIPerformance(page) {
     );
   }
 
+  // Budgets cover the page load only, not the journey that follows
+  reportResourceUsage(networkRecording.entries);
+  // Before the snapshot and audits, which keep the main thread busy themselves
+  await collectMainThreadMetrics(page);
+  await collectNavigationTiming(page);
+
+  if (CONFIG.visual.snapshotFile) {
+    await captureVisualSnapshot(page);
+  }
+
+  if (CONFIG.accessibility.length > 0) {
+    await auditAccessibility(page);
+  }
+
+  // Continue the same browser session with the user journey, if any
+  if (CONFIG.journey.length > 0) {
+    result.journey = await runUserJourney(page, CONFIG.journey);
+  }
+
+  if (CONFIG.features.har) {
+    await reportHar(page, networkRecording, navigationStart);
+  }
+
   // Log network performance if enabled
   if (CONFIG.features.networkLogging && networkLogs.length > 0) {
     logNetworkPerformance(networkLogs);
   }
+  if (routing) {
+    logRoutingSummary(routing);
+  }
 
   return result;
 }
 
+/**
+ * Performs one journey or login step in the current browser session
+ * @param {Object} page - Browser page instance
+ * @param {Object} step - Step ({ action, selector, text, key, timeout })
+ * @param {number} previousStepEnd - End of the previous step, wait steps are timed from it
+ * @returns {Promise<number>} Start time of the step, excluding the wait for its target element
+ */
+async function performJourneyAction(page, step, previousStepEnd) {
+  let startTime = Date.now();
+
+  switch (step.action) {
+    case "type": {
+      const element = await waitForElementSafe(page, step.selector);
+      startTime = Date.now();
+      await typeTextSafe(element, fillCredentials(step.text), step.selector);
+      break;
+    }
+    case "click": {
+      const element = await waitForElementSafe(page, step.selector);
+      startTime = Date.now();
+      await element.click();
+      break;
+    }
+    case "press":
+      await page.keyboard.press(step.key);
+      break;
+    case "wait":
+      // Results are timed from the end of the action that triggered them
+      startTime = previousStepEnd;
+      await waitForElementSafe(
+        page,
+        step.selector,
+        Math.max(step.timeout || 0, CONFIG.timeouts.element)
+      );
+      break;
+  }
+
+  return startTime;
+}
+
+/**
+ * Replaces {{username}} and {{password}} with the login credentials, which
+ * are passed separately so they never show up in step definitions or logs
+ * @param {string} text - Text of a type step
+ * @returns {string} Text to type
+ */
+function fillCredentials(text) {
+  if (typeof text !== "string") return text;
+  return text
+    .replace(/\{\{username\}\}/g, CONFIG.login.username)
+    .replace(/\{\{password\}\}/g, CONFIG.login.password);
+}
+
+/**
+ * Runs the login flow of CONFIG.login and reports the resulting session
+ * @param {Object} context - Browser context the user logs in with
+ * @param {Object} page - Browser page instance
+ * @returns {Promise<Object>} { type: "login", loginTime }
+ */
+async function performLogin(context, page) {
+  const { user, steps } = CONFIG.login;
+  await applySimulationConditions(context, page);
+
+  logger.info(`🔐 Logging in as ${user} at ${CONFIG.testUrl}`);
+  const loginStart = Date.now();
+  await page.goto(CONFIG.testUrl, {
+    waitUntil: "domcontentloaded",
+    timeout: CONFIG.timeouts.domcontentloaded,
+  });
+
+  try {
+    let previousStepEnd = Date.now();
+    for (const [index, step] of steps.entries()) {
+      await performJourneyAction(page, step, previousStepEnd);
+      previousStepEnd = Date.now();
+      logger.debug(
+        `🔐 Login step ${index + 1}/${steps.length} ${step.action} ${
+          step.selector || step.key || ""
+        } done`
+      );
+    }
+  } catch (error) {
+    await takeScreenshot(page, "login", "fail", "login");
+    throw new Error(`Login as ${user} failed: ${error.message}`);
+  }
+
+  const loginTime = Date.now() - loginStart;
+  metrics.loginTime.add(loginTime);
+  logger.info(`🔐 Logged in as ${user} in ${loginTime}ms`);
+
+  // Same shape as Playwright's storageState, restored by applySessionState
+  const storage = await page.evaluate(() => ({
+    origin: window.location.origin,
+    localStorage: Object.keys(window.localStorage).map((name) => ({
+      name,
+      value: window.localStorage.getItem(name),
+    })),
+  }));
+  const cookies = await context.cookies();
+  check(cookies, {
+    [`Login as ${user} created a session`]: () =>
+      cookies.length > 0 || storage.localStorage.length > 0,
+  });
+  // Cookies and localStorage are secrets: they only go to the session file,
+  // the artifact just counts them
+  const saved =
+    !!__ENV.SESSION_OUTPUT_FILE &&
+    writeArtifactFile(
+      __ENV.SESSION_OUTPUT_FILE,
+      JSON.stringify(
+        {
+          user,
+          cookies,
+          origins: [storage],
+          runId: __ENV.PERF_RUN_ID || null,
+          capturedAt: new Date().toISOString(),
+        },
+        null,
+        2
+      )
+    );
+  reportArtifact("session", {
+    user,
+    cookies: cookies.length,
+    origins: [storage.origin],
+    saved,
+  });
+
+  return { type: "login", loginTime };
+}
+
+/**
+ * Restores the cookies and localStorage of a logged in user in a new context
+ * @param {Object} context - Fresh browser context
+ */
+async function applySessionState(context) {
+  if (!sessionState) return;
+
+  if (sessionState.cookies?.length > 0) {
+    await context.addCookies(sessionState.cookies);
+  }
+  // localStorage only exists once a page of the origin loads, so it is
+  // written by an init script before any page script runs
+  const origins = (sessionState.origins || []).filter(
+    (origin) => origin.localStorage?.length > 0
+  );
+  if (origins.length > 0) {
+    await context.addInitScript(`(() => {
+      const origins = ${JSON.stringify(origins)};
+      const current = origins.find((o) => o.origin === window.location.origin);
+      if (!current) return;
+      for (const { name, value } of current.localStorage) {
+        window.localStorage.setItem(name, value);
+      }
+    })();`);
+  }
+  logger.info(
+    `🔐 Restored session of ${sessionState.user}: ${
+      sessionState.cookies?.length || 0
+    } cookie(s), localStorage for ${origins.length} origin(s)`
+  );
+}
+
+/**
+ * Runs the queued user journey steps in the current browser session
+ * @param {Object} page - Browser page instance
+ * @param {Array<Object>} steps - Journey steps ({ action, selector, text, key, timeout, metric })
+ * @returns {Promise<Array<Object>>} Per-step timings in milliseconds
+ */
+async function runUserJourney(page, steps) {
+  const timings = [];
+  let previousStepEnd = Date.now();
+
+  logger.info(`🧭 Running user journey with ${steps.length} step(s)`);
+
+  try {
+    for (const [index, step] of steps.entries()) {
+      const label = `${index + 1}/${steps.length} ${step.action} ${
+        step.selector || step.key || ""
+      }`.trim();
+      // Waits are not interactions, every other step gets an INP-style latency
+      const interactive = step.action !== "wait";
+      const since = interactive
+        ? await page.evaluate(() => performance.now())
+        : null;
+      const startTime = await performJourneyAction(page, step, previousStepEnd);
+
+      previousStepEnd = Date.now();
+      const duration = previousStepEnd - startTime;
+      metrics.journeySteps[index].add(duration);
+      const timing = { metric: step.metric, action: step.action, duration };
+
+      if (interactive) {
+        timing.interactionLatency = await measureInteractionLatency(
+          page,
+          since
+        );
+        metrics.interactionLatency.add(timing.interactionLatency, {
+          step: step.metric,
+        });
+      }
+      timings.push(timing);
+      logger.info(
+        `🧭 Journey step ${label}: ${duration}ms${
+          interactive
+            ? ` (interaction latency ${timing.interactionLatency.toFixed(0)}ms)`
+            : ""
+        }`
+      );
+    }
+
+    await takeScreenshot(page, "journey", "pass", "journey");
+    return timings;
+  } catch (error) {
+    logger.error(`User journey failed: ${error.message}`);
+    await takeScreenshot(page, "journey", "fail", "journey");
+    throw error;
+  }
+}
+
 /**
  * Enhanced network performance logging
  * @param {Array} networkLogs - Array of network request logs
@@ -921,6 +2770,12 @@ function logNetworkPerformance(networkLogs) {
 
     // Add to metrics
     metrics.apiResponseTime.add(log.responseTime, { url: truncatedUrl });
+    reportArtifact("api", {
+      method: log.method,
+      status: log.status,
+      responseTime: log.responseTime,
+      url: truncatedUrl,
+    });
 
     // Format row
     const method = (log.method || "").padEnd(6);
@@ -966,7 +2821,22 @@ export default async function () {
 
   logger.info("🚀 Starting k6 UI Performance Test");
   logger.info(`📋 Test URL: ${CONFIG.testUrl}`);
-  logger.info(`👥 VUs: ${CONFIG.vus}, Iterations: ${CONFIG.iterations}`);
+  if (CONFIG.load) {
+    logger.info(
+      `👥 Load profile: ${CONFIG.load.name} (${CONFIG.load.executor}), VU ${vu.idInTest}`
+    );
+  } else {
+    logger.info(`👥 VUs: ${CONFIG.vus}, Iterations: ${CONFIG.iterations}`);
+  }
+  logger.info(`📱 Device: ${CONFIG.device.name}`);
+  if (CONFIG.backgroundLoad) {
+    const { rate, rampSeconds, url } = CONFIG.backgroundLoad;
+    logger.info(
+      `🏋️ Background load: ${rate} req/s${
+        rampSeconds ? ` (ramped over ${rampSeconds}s)` : ""
+      } on ${url}`
+    );
+  }
   logger.info(
     `⚙️ Features - Screenshots: ${CONFIG.features.screenshots}, Network Logging: ${CONFIG.features.networkLogging}, Highlighting: ${CONFIG.features.highlighting}`
   );
@@ -980,6 +2850,7 @@ export default async function () {
     try {
       const httpRes = http.get(CONFIG.testUrl, {
         timeout: `${CONFIG.timeouts.http}ms`,
+        tags: { name: CONNECTIVITY_REQUEST },
       });
 
       const connectivityChecks = check(httpRes, {
@@ -1016,12 +2887,20 @@ export default async function () {
   let context, page;
 
   try {
-    logger.debug("🌐 Creating browser context");
-    context = await browser.newContext(browserOptions);
+    logger.debug(`🌐 Creating browser context for ${CONFIG.device.name}`);
+    context = await browser.newContext(CONFIG.device.contextOptions);
+    await applySessionState(context);
     page = await context.newPage();
 
-    // Run the main performance measurement
-    const result = await measureReactUIPerformance(page);
+    // Log in, or run the main performance measurement
+    const result =
+      CONFIG.login.steps.length > 0
+        ? await performLogin(context, page)
+        : await measureReactUIPerformance(page);
+
+    if (CONFIG.backgroundLoad) {
+      checkBackgroundLoadActive();
+    }
 
     const totalTime = Date.now() - startTime;
     logger.info(`✅ Test iteration completed in ${totalTime}ms`);
@@ -1033,6 +2912,10 @@ export default async function () {
     logger.error(
       `❌ Test iteration failed after ${totalTime}ms: ${error.message}`
     );
+    reportArtifact("failure", {
+      message: error.message,
+      durationMs: totalTime,
+    });
 
     // Take error screenshot if page is available
     if (page) {
@@ -1056,3 +2939,149 @@ export default async function () {
     }
   }
 }
+
+/**
+ * Background load iteration: one request to the loaded endpoint
+ */
+export function backgroundLoad() {
+  http.get(CONFIG.backgroundLoad.url, {
+    timeout: `${CONFIG.timeouts.http}ms`,
+  });
+}
+
+/**
+ * Checks the background load was still running when the browser finished,
+ * otherwise the measurement did not happen under load
+ */
+function checkBackgroundLoadActive() {
+  const { warmupSeconds, durationSeconds } = CONFIG.backgroundLoad;
+  // The ui scenario starts after the warm-up, the load stops after its duration
+  const loadEnd = scenario.startTime + (durationSeconds - warmupSeconds) * 1000;
+  const active = check(null, {
+    "Background load was running during the measurement": () =>
+      Date.now() <= loadEnd,
+  });
+  if (!active) {
+    logger.warn(
+      `⚠️ Background load ended before the measurement finished, increase BACKGROUND_LOAD_DURATION (${durationSeconds}s)`
+    );
+  }
+}
+
+/**
+ * Collects the checks of a summary group and its nested groups
+ * @param {Object} group - Summary group (root_group or nested)
+ * @param {Array<Object>} checks - Accumulator of { name, path, passes, fails }
+ * @returns {Array<Object>} The accumulator
+ */
+function collectSummaryChecks(group, checks = []) {
+  checks.push(
+    ...group.checks.map(({ name, path, passes, fails }) => ({
+      name,
+      path,
+      passes,
+      fails,
+    }))
+  );
+  group.groups.forEach((child) => collectSummaryChecks(child, checks));
+  return checks;
+}
+
+/**
+ * Writes the machine-readable result file consumed by the Cucumber steps
+ * (RESULT_FILE) next to the usual text summary on stdout
+ * @param {Object} data - k6 end-of-test summary data
+ * @returns {Object} Map of output destinations to content
+ */
+export function handleSummary(data) {
+  const checks = collectSummaryChecks(data.root_group);
+
+  const trends = {};
+  const vitals = {};
+  for (const [name, metric] of Object.entries(data.metrics)) {
+    if (metric.type !== "trend") continue;
+    trends[name] = metric.values;
+    if (name.startsWith("browser_web_vital_")) {
+      vitals[name.slice("browser_web_vital_".length)] = metric.values;
+    }
+  }
+
+  const checkTotals = checks.reduce(
+    (totals, { passes, fails }) => ({
+      passes: totals.passes + passes,
+      fails: totals.fails + fails,
+    }),
+    { passes: 0, fails: 0 }
+  );
+
+  const result = {
+    scenario: __ENV.SCENARIO_NAME || null,
+    tags: __ENV.SCENARIO_TAGS || "",
+    testUrl: CONFIG.testUrl || null,
+    generatedAt: new Date().toISOString(),
+    trends,
+    // Load times of each component, from its tagged submetric
+    subcomponents: CONFIG.subcomponents.map(
+      ({ selector, expectedText }, index) => {
+        const metric = `subcomponent_load_time{component:${index + 1}}`;
+        return {
+          component: index + 1,
+          selector,
+          expectedText: expectedText || null,
+          metric,
+          values: trends[metric] || null,
+          // Readiness conditions of the component in the last measured load,
+          // merged in from the run artifacts (step_definitions/k6Results.js)
+          conditions: [],
+        };
+      }
+    ),
+    vitals,
+    checks: { ...checkTotals, details: checks },
+    // Filled from the artifacts the VUs reported through the artifact sink,
+    // once the run ended (mergeRunArtifacts in step_definitions/k6Results.js)
+    screenshots: [],
+    failures: [],
+    apiRequests: [],
+    harFiles: [],
+    visualSnapshot: null,
+    mainThread: [],
+    accessibility: [],
+    routing: [],
+    resources: [],
+    profile: null,
+  };
+
+  // Load shape the browser scenario ran with and how much it completed
+  result.load = {
+    ...(CONFIG.load || {
+      name: null,
+      executor: "shared-iterations",
+      vus: CONFIG.vus,
+      iterations: CONFIG.vus * CONFIG.iterations,
+    }),
+    completedIterations:
+      data.metrics["iterations{scenario:ui}"]?.values.count || 0,
+    maxVUs: data.metrics.vus_max?.values.max || 0,
+  };
+
+  if (CONFIG.backgroundLoad) {
+    const metric = (name) => data.metrics[`${name}{scenario:background}`];
+    result.backgroundLoad = {
+      ...CONFIG.backgroundLoad,
+      requests: metric("http_reqs")?.values.count || 0,
+      requestRate: metric("http_reqs")?.values.rate || 0,
+      failedRate: metric("http_req_failed")?.values.rate || 0,
+      droppedIterations: data.metrics.dropped_iterations?.values.count || 0,
+      duration: metric("http_req_duration")?.values || null,
+    };
+  }
+
+  const output = {
+    stdout: textSummary(data, { indent: " ", enableColors: false }),
+  };
+  if (__ENV.RESULT_FILE) {
+    output[__ENV.RESULT_FILE] = JSON.stringify(result, null, 2);
+  }
+  return output;
+}
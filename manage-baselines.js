@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import {
+  approvedDir,
+  candidatesDir,
+  listRecords,
+  promoteCandidates,
+} from "./step_definitions/baselineStore.js";
+import {
+  listVisualCandidates,
+  promoteVisualCandidates,
+  visualApprovedDir,
+} from "./step_definitions/visualBaselines.js";
+import { getLogger } from "./step_definitions/logConfig.js";
+
+const logger = getLogger("baselines");
+
+const USAGE = `Usage:
+  node manage-baselines.js list                      Compare candidates with approved baselines
+  node manage-baselines.js promote [filter] [--force] Promote candidates (optionally matching filter)
+
+Candidates are written by every test run; --force also promotes runs that reported failures.
+Visual snapshots (baselines/candidates/visual) are promoted together with the metric baselines.`;
+
+/**
+ * Formats a trend average for the comparison table
+ * @param {string} metric - Trend metric name
+ * @param {number} value - Average value
+ * @returns {string} Value with unit
+ */
+function formatAvg(metric, value) {
+  if (typeof value !== "number") return "-";
+  return metric === "browser_web_vital_cls"
+    ? value.toFixed(3)
+    : `${value.toFixed(0)}ms`;
+}
+
+/**
+ * Prints every candidate next to its approved baseline
+ */
+function listBaselines() {
+  const approved = new Map(
+    listRecords(approvedDir).map((record) => [record.key, record])
+  );
+  const candidates = listRecords(candidatesDir);
+
+  const visualCandidates = listVisualCandidates();
+
+  if (
+    candidates.length === 0 &&
+    approved.size === 0 &&
+    visualCandidates.length === 0
+  ) {
+    logger.info("No baselines or candidates recorded yet.");
+    return;
+  }
+
+  for (const candidate of candidates) {
+    const baseline = approved.get(candidate.key);
+    logger.info(
+      `${candidate.key} (candidate ${candidate.recordedAt}, baseline ${
+        baseline?.promotedAt || "none"
+      })`
+    );
+    for (const [metric, values] of Object.entries(candidate.metrics)) {
+      const before = baseline?.metrics?.[metric]?.avg;
+      logger.info(
+        `  ${metric.padEnd(50)} ${formatAvg(metric, before).padStart(
+          10
+        )} → ${formatAvg(metric, values.avg).padStart(10)}`
+      );
+    }
+    approved.delete(candidate.key);
+  }
+
+  for (const key of approved.keys()) {
+    logger.info(`${key} (baseline only, no candidate in this checkout)`);
+  }
+
+  for (const file of visualCandidates) {
+    const status = fs.existsSync(path.join(visualApprovedDir, file))
+      ? "replaces approved snapshot"
+      : "new, no approved snapshot";
+    logger.info(`🖼️ visual/${file} (${status})`);
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case "list":
+    listBaselines();
+    break;
+  case "promote": {
+    const force = args.includes("--force");
+    const filter = args.filter((arg) => arg !== "--force").join(" ");
+    const { promoted, skipped } = promoteCandidates({ filter, force });
+    promoted.forEach((key) => logger.info(`✅ Promoted baseline: ${key}`));
+    skipped.forEach(({ key, reason }) =>
+      logger.warn(`⚠️ Skipped ${key}: ${reason}`)
+    );
+    const promotedVisuals = promoteVisualCandidates({ filter });
+    promotedVisuals.forEach((file) =>
+      logger.info(`✅ Promoted visual baseline: ${file}`)
+    );
+    if (promoted.length === 0 && promotedVisuals.length === 0) {
+      logger.warn("No candidates promoted.");
+    }
+    break;
+  }
+  default:
+    logger.info(USAGE);
+    process.exitCode = command ? 1 : 0;
+}
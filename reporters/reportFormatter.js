@@ -0,0 +1,37 @@
+import { Formatter } from "@cucumber/cucumber";
+import { getLogger } from "../step_definitions/logConfig.js";
+import {
+  writeCombinedResults,
+  generateHtmlReport,
+} from "../step_definitions/htmlReport.js";
+
+const logger = getLogger("hooks");
+
+/**
+ * Generates the HTML report and results.json once the test run finished.
+ * Formatters run in the coordinating process, which sees the scenario
+ * records of every parallel worker; AfterAll hooks only run inside each
+ * worker. The report paths are written to the formatter's output.
+ */
+export default class PerformanceReportFormatter extends Formatter {
+  static documentation = "Combined HTML performance report of the run";
+
+  constructor(options) {
+    super(options);
+    options.eventBroadcaster.on("envelope", (envelope) => {
+      if (envelope.testRunFinished) this.writeReport();
+    });
+  }
+
+  writeReport() {
+    const resultsPath = writeCombinedResults();
+    const reportPath = generateHtmlReport();
+    if (!reportPath) {
+      logger.warn("No scenario records found, no report generated.");
+      return;
+    }
+    logger.info(`📊 HTML performance report: ${reportPath}`);
+    logger.info(`🗂️ Combined results: ${resultsPath}`);
+    this.log(`${reportPath}\n${resultsPath}\n`);
+  }
+}
@@ -0,0 +1,74 @@
+import { spawn } from "child_process";
+import os from "os";
+import path from "path";
+import { getLogger } from "./step_definitions/logConfig.js";
+
+const logger = getLogger("parallel");
+
+const USAGE = `Usage:
+  node run-parallel-tests.js [--workers <n>] [cucumber-js options]
+
+Runs the scenarios in <n> Cucumber workers (default: PARALLEL_WORKERS or the number of CPUs).
+The report formatter (cucumber.js) merges every worker's scenarios into one HTML report and
+results.json, as it does for "cucumber-js --parallel <n>".`;
+
+/**
+ * Splits the runner options from the options passed through to cucumber-js
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { workers, cucumberArgs }
+ * @throws {Error} If the worker count is not a positive integer
+ */
+function parseArgs(args) {
+  const cucumberArgs = [];
+  let workers = process.env.PARALLEL_WORKERS || os.cpus().length;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--workers") {
+      workers = args[++i];
+    } else if (args[i].startsWith("--workers=")) {
+      workers = args[i].slice("--workers=".length);
+    } else {
+      cucumberArgs.push(args[i]);
+    }
+  }
+
+  workers = Number(workers);
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error(`--workers must be a positive integer\n\n${USAGE}`);
+  }
+  return { workers, cucumberArgs };
+}
+
+const { workers, cucumberArgs } = parseArgs(process.argv.slice(2));
+
+// Workers inherit the run id, so all their scenario records land in one folder
+process.env.PERF_RUN_ID ??= new Date().toISOString().replace(/[:.]/g, "-");
+
+const cucumberBin = path.join(
+  process.cwd(),
+  "node_modules",
+  "@cucumber",
+  "cucumber",
+  "bin",
+  "cucumber.js"
+);
+
+logger.info(
+  `🚀 Running scenarios in ${workers} parallel worker(s), run ${process.env.PERF_RUN_ID}`
+);
+const startTime = Date.now();
+
+const cucumber = spawn(
+  process.execPath,
+  [cucumberBin, "--parallel", String(workers), ...cucumberArgs],
+  { stdio: "inherit", env: process.env }
+);
+
+cucumber.on("close", (code) => {
+  logger.info(
+    `⏱️ Parallel run finished in ${((Date.now() - startTime) / 1000).toFixed(
+      1
+    )}s`
+  );
+  process.exitCode = code ?? 1;
+});
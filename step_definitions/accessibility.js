@@ -0,0 +1,62 @@
+// axe-core impact levels, least to most severe
+export const IMPACT_LEVELS = ["minor", "moderate", "serious", "critical"];
+
+// Step texts that audit the page or a component; the audit runs inside k6,
+// so the contexts are collected from the scenario before the page loads
+const PAGE_AUDIT_STEP = /^the page should have no accessibility violations/;
+const COMPONENT_AUDIT_STEP =
+  /^component (?:"(.+)"|'(.+)') should have no accessibility violations/;
+
+/**
+ * Collects the contexts a scenario audits from its step texts
+ * @param {Array<string>} stepTexts - Pickle step texts, without keywords
+ * @returns {Array<Object>} Unique contexts ({ selector }), selector is null for the whole page
+ */
+export function accessibilityAuditsFromSteps(stepTexts) {
+  const selectors = new Set();
+  for (const text of stepTexts) {
+    if (PAGE_AUDIT_STEP.test(text)) selectors.add(null);
+    const component = text.match(COMPONENT_AUDIT_STEP);
+    if (component) selectors.add(component[1] ?? component[2]);
+  }
+  return [...selectors].map((selector) => ({ selector }));
+}
+
+/**
+ * Collects the violations of one audit context across the measured page
+ * loads, deduplicated by rule and element
+ * @param {Object} result - Parsed k6 result
+ * @param {string|null} selector - Component selector, null for the whole page
+ * @param {string} minImpact - Least severe impact to report (minor reports all)
+ * @returns {Object} { audited, errors, violations: [{ rule, impact, help, helpUrl, selector, snippet }] }
+ */
+export function findViolations(result, selector, minImpact = "minor") {
+  const audits = (result.accessibility || []).filter(
+    (audit) => audit.selector === selector
+  );
+  const minLevel = IMPACT_LEVELS.indexOf(minImpact);
+  const violations = new Map();
+  for (const audit of audits) {
+    for (const violation of audit.violations || []) {
+      // axe leaves the impact empty for rules it could not fully evaluate
+      if (IMPACT_LEVELS.indexOf(violation.impact || "minor") < minLevel) {
+        continue;
+      }
+      violations.set(`${violation.rule} ${violation.selector}`, violation);
+    }
+  }
+  return {
+    audited: audits.some((audit) => !audit.error),
+    errors: audits.map((audit) => audit.error).filter(Boolean),
+    violations: [...violations.values()],
+  };
+}
+
+/**
+ * Formats a violation for log and error messages
+ * @param {Object} violation - { rule, impact, help, selector, snippet }
+ * @returns {string} One line description
+ */
+export function formatViolation({ rule, impact, help, selector, snippet }) {
+  return `[${impact || "unknown"}] ${rule}: ${help} at ${selector} ${snippet}`;
+}
@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { getLogger } from "./logConfig.js";
+
+const logger = getLogger("k6");
+
+// Largest upload of a k6 run, HAR documents of heavy pages included
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Artifact kinds are plain names, e.g. /artifacts/screenshot
+const ARTIFACT_ROUTE = /^\/artifacts\/(\w+)$/;
+
+/**
+ * Reads a request body up to MAX_BODY_BYTES
+ * @param {Object} request - Incoming request
+ * @returns {Promise<Buffer|null>} Body, or null when it is too large
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    request.on("end", () =>
+      resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks))
+    );
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Writes an uploaded file (PUT /files) or collects an artifact
+ * (POST /artifacts/<kind>) if the request carries the run's token
+ * @param {Object} request - Incoming request
+ * @param {Object} response - Server response
+ * @param {Object} sink - { token, roots, artifacts } of the k6 run
+ */
+async function handleUpload(request, response, { token, roots, artifacts }) {
+  const reply = (status, message = "") => {
+    response.writeHead(status, { "Content-Type": "text/plain" });
+    response.end(message);
+  };
+  if (request.headers["x-artifact-token"] !== token) {
+    reply(403, "Forbidden");
+    return;
+  }
+
+  const artifactKind = request.url.match(ARTIFACT_ROUTE)?.[1];
+  const isFile = request.method === "PUT" && request.url === "/files";
+  if (!isFile && !(request.method === "POST" && artifactKind)) {
+    reply(404, "Not found");
+    return;
+  }
+  // Relative paths resolve like they do for k6, against the project directory
+  const target = isFile
+    ? path.resolve(String(request.headers["x-artifact-path"]))
+    : null;
+  if (
+    isFile &&
+    !roots.some((root) => target.startsWith(`${root}${path.sep}`))
+  ) {
+    reply(403, `Not inside an artifact directory: ${target}`);
+    return;
+  }
+
+  const body = await readBody(request);
+  if (!body) {
+    reply(413, `Larger than ${MAX_BODY_BYTES} bytes`);
+    return;
+  }
+  try {
+    if (isFile) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      // Session files hold cookies, so nothing is readable by other users.
+      // Readers never see a partial file: it is renamed into place once written
+      const partial = `${target}.${process.pid}.${Date.now()}.partial`;
+      try {
+        fs.writeFileSync(partial, body, { mode: 0o600 });
+        fs.renameSync(partial, target);
+      } finally {
+        fs.rmSync(partial, { force: true });
+      }
+    } else {
+      (artifacts[artifactKind] ||= []).push(JSON.parse(body));
+    }
+    reply(204);
+  } catch (error) {
+    logger.warn(
+      `Artifact ${target || artifactKind} not stored: ${error.message}`
+    );
+    reply(500, error.message);
+  }
+}
+
+/**
+ * Starts a local endpoint the k6 script hands its artifacts to: files it
+ * cannot write itself (session state, HAR documents) and the details that
+ * end up in the result file (screenshots, failures, audits...). VU state is
+ * not visible to handleSummary, and check names are no transport: they
+ * become tags in every k6 output. One sink per k6 run, with its own token.
+ * @param {Array<string>} directories - Directories the run may write into
+ * @returns {Promise<Object>} { env, artifacts, close } where env holds ARTIFACT_SINK_URL and ARTIFACT_SINK_TOKEN for k6 and artifacts collects the payloads by kind
+ */
+export function openArtifactSink(directories) {
+  const sink = {
+    token: crypto.randomBytes(16).toString("hex"),
+    roots: directories.map((directory) => path.resolve(directory)),
+    artifacts: {},
+  };
+  const server = http.createServer((request, response) =>
+    handleUpload(request, response, sink)
+  );
+
+  return new Promise((resolve, reject) => {
+    server.once("error", (error) =>
+      reject(new Error(`Artifact sink could not start: ${error.message}`))
+    );
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        env: {
+          ARTIFACT_SINK_URL: `http://127.0.0.1:${server.address().port}`,
+          ARTIFACT_SINK_TOKEN: sink.token,
+        },
+        artifacts: sink.artifacts,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
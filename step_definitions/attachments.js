@@ -0,0 +1,96 @@
+import fs from "fs";
+import path from "path";
+import { getLogger } from "./logConfig.js";
+
+const logger = getLogger("attachments");
+
+/**
+ * Turns a label into a safe attachment file name part
+ * @param {string} label - Run or step label
+ * @returns {string} File name friendly slug
+ */
+function slugify(label) {
+  return label
+    .replace(/[^a-zA-Z0-9\s]/g, "")
+    .replace(/\s+/g, "_")
+    .substring(0, 60);
+}
+
+/**
+ * Attaches the captured k6 console output to the current step
+ * @param {Object} world - Cucumber World
+ * @param {string} label - k6 run label
+ * @param {string} output - Captured stdout/stderr of k6
+ */
+export function attachK6Output(world, label, output) {
+  world.attach(output || "(no k6 output captured)", {
+    mediaType: "text/plain",
+    fileName: `k6_${slugify(label)}.log`,
+  });
+}
+
+/**
+ * Attaches the parsed k6 result (trends, vitals, checks, failures) as JSON
+ * @param {Object} world - Cucumber World
+ * @param {string} label - k6 run label
+ * @param {Object} result - Parsed k6 result
+ */
+export function attachK6Result(world, label, result) {
+  world.attach(JSON.stringify(result, null, 2), {
+    mediaType: "application/json",
+    fileName: `metrics_${slugify(label)}.json`,
+  });
+}
+
+/**
+ * Attaches the screenshots reported by a k6 run as PNG images
+ * @param {Object} world - Cucumber World
+ * @param {Array<Object>} screenshots - Screenshot artifacts ({ path, testType, status })
+ */
+export function attachScreenshots(world, screenshots) {
+  for (const { path: screenshotPath } of screenshots) {
+    const file = path.join(process.cwd(), screenshotPath);
+    if (!fs.existsSync(file)) {
+      logger.warn(`Screenshot not attached, file missing: ${screenshotPath}`);
+      continue;
+    }
+    world.attach(fs.readFileSync(file), {
+      mediaType: "image/png",
+      fileName: path.basename(screenshotPath),
+    });
+  }
+}
+
+/**
+ * Attaches the HAR files reported by a k6 run
+ * @param {Object} world - Cucumber World
+ * @param {Array<Object>} harFiles - HAR artifacts ({ path, entries, failed })
+ */
+export function attachHarFiles(world, harFiles) {
+  for (const { path: harPath } of harFiles) {
+    const file = path.join(process.cwd(), harPath);
+    if (!fs.existsSync(file)) {
+      logger.warn(`HAR file not attached, file missing: ${harPath}`);
+      continue;
+    }
+    world.attach(fs.readFileSync(file, "utf8"), {
+      mediaType: "application/json",
+      fileName: path.basename(harPath),
+    });
+  }
+}
+
+/**
+ * Attaches the snapshot of a visual comparison and, if there is one, its diff
+ * image with the changed pixels in red
+ * @param {Object} world - Cucumber World
+ * @param {Object} comparison - Result of compareWithBaseline
+ */
+export function attachVisualComparison(world, { candidate, diff }) {
+  for (const file of [candidate, diff].filter(Boolean)) {
+    world.attach(fs.readFileSync(file), {
+      mediaType: "image/png",
+      fileName: path.basename(file),
+    });
+  }
+}
@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import { getLogger } from "./logConfig.js";
+import { loadYamlProfiles, findNamedProfile } from "./yamlProfiles.js";
+
+const logger = getLogger("auth");
+
+const USERS_FILE = "auth-users.yaml";
+
+// Captured sessions (cookies and localStorage); secrets, never committed
+export const authDir = path.join(process.cwd(), ".auth");
+
+/**
+ * Expands ${VAR} and ${VAR:-default} placeholders from the environment
+ * @param {string} value - Raw YAML value
+ * @param {string} field - Field name used in error messages
+ * @returns {string} Expanded value
+ * @throws {Error} If a variable without default is not set
+ */
+function expandEnv(value, field) {
+  return String(value ?? "").replace(
+    /\$\{(\w+)(?::-([^}]*))?\}/g,
+    (_, variable, fallback) => {
+      const resolved = process.env[variable] ?? fallback;
+      if (resolved === undefined) {
+        throw new Error(
+          `${field} needs the environment variable ${variable}, which is not set`
+        );
+      }
+      return resolved;
+    }
+  );
+}
+
+/**
+ * Loads a login flow from auth-users.yaml with credentials resolved
+ * @param {string} name - User name as written in the feature file
+ * @returns {Object} { name, loginUrl, username, password, steps }
+ * @throws {Error} If the user is unknown or its login flow is incomplete
+ */
+export function loadAuthUser(name) {
+  const user = findNamedProfile(loadYamlProfiles(USERS_FILE), name, USERS_FILE);
+  const label = `User "${user.name}" in ${USERS_FILE}`;
+
+  if (!user.loginUrl) {
+    throw new Error(`${label} needs a loginUrl`);
+  }
+  if (!Array.isArray(user.steps) || user.steps.length === 0) {
+    throw new Error(`${label} needs a list of login steps`);
+  }
+
+  return {
+    name: user.name,
+    loginUrl: expandEnv(user.loginUrl, `${label} loginUrl`),
+    username: expandEnv(user.username, `${label} username`),
+    password: expandEnv(user.password, `${label} password`),
+    steps: user.steps,
+  };
+}
+
+/**
+ * Returns the file a user's session is captured to
+ * @param {string} name - User name from auth-users.yaml
+ * @returns {string} Absolute session file path
+ */
+export function sessionFilePath(name) {
+  if (!fs.existsSync(authDir)) {
+    fs.mkdirSync(authDir, { recursive: true });
+  }
+  const slug = name.replace(/[^a-zA-Z0-9]+/g, "_").toLowerCase();
+  return path.join(authDir, `${slug}.json`);
+}
+
+/**
+ * Finds a session captured earlier in the current cucumber run
+ * @param {string} name - User name from auth-users.yaml
+ * @returns {string|null} Session file path, or null when the user must log in
+ */
+export function findReusableSession(name) {
+  const file = sessionFilePath(name);
+  if (!fs.existsSync(file)) return null;
+
+  // Sessions expire, so one captured by an earlier run is never reused
+  try {
+    const { runId } = JSON.parse(fs.readFileSync(file, "utf8"));
+    return runId && runId === process.env.PERF_RUN_ID ? file : null;
+  } catch (error) {
+    logger.warn(
+      `Session file ${file} is unreadable, logging in again: ${error.message}`
+    );
+    return null;
+  }
+}
@@ -0,0 +1,144 @@
+import fs from "fs";
+import path from "path";
+
+// Approved baselines are committed; candidates hold the latest run of each
+// scenario until they are promoted with `npm run baseline:promote`
+export const baselinesDir = path.join(process.cwd(), "baselines");
+export const approvedDir = path.join(baselinesDir, "approved");
+export const candidatesDir = path.join(baselinesDir, "candidates");
+
+/**
+ * Builds the key that identifies a scenario under its simulation conditions
+ * @param {string} scenario - Scenario name
+ * @param {string} network - Network condition (e.g. 4G)
+ * @param {string} cpu - CPU condition (e.g. LowCPU)
+ * @param {string} device - Emulated device, omitted from the key for Desktop
+ * @param {string|null} load - Load profile name, omitted when the defaults are used
+ * @returns {string} Baseline key, e.g. "Load Google homepage [4G/LowCPU/Pixel 7]"
+ */
+export function baselineKey(
+  scenario,
+  network,
+  cpu,
+  device = "Desktop",
+  load = null
+) {
+  const conditions = [network, cpu];
+  if (device && device !== "Desktop") conditions.push(device);
+  // Timings under a multi-browser load are not comparable to a single user
+  if (load) conditions.push(load);
+  return `${scenario} [${conditions.join("/")}]`;
+}
+
+/**
+ * Converts a baseline key into a file name
+ * @param {string} key - Baseline key
+ * @returns {string} File name for the key
+ */
+function keyToFileName(key) {
+  const slug = key
+    .replace(/[^a-zA-Z0-9\s/]/g, "")
+    .replace(/[\s/]+/g, "_")
+    .substring(0, 100);
+  return `${slug}.json`;
+}
+
+/**
+ * Reads a baseline record
+ * @param {string} dir - approvedDir or candidatesDir
+ * @param {string} key - Baseline key
+ * @returns {Object|null} Stored record or null when none exists
+ */
+function readRecord(dir, key) {
+  const file = path.join(dir, keyToFileName(key));
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes a baseline record
+ * @param {string} dir - approvedDir or candidatesDir
+ * @param {Object} record - Record including its key
+ */
+function writeRecord(dir, record) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(
+    path.join(dir, keyToFileName(record.key)),
+    JSON.stringify(record, null, 2)
+  );
+}
+
+/**
+ * Merges trend metrics of a k6 run into the scenario's candidate record
+ * @param {Object} details - { key, scenario, network, cpu }
+ * @param {Object} trends - Trend metrics keyed by name ({ avg, min, ... })
+ * @param {Array<Object>} failures - Failure reasons reported by k6
+ */
+export function recordCandidate(details, trends, failures = []) {
+  const runId = process.env.PERF_RUN_ID || null;
+  const existing = readRecord(candidatesDir, details.key);
+  // A new cucumber run starts a fresh candidate instead of merging stale metrics
+  const sameRun = Boolean(existing) && existing.runId === runId;
+  writeRecord(candidatesDir, {
+    ...details,
+    runId,
+    recordedAt: new Date().toISOString(),
+    metrics: { ...(sameRun ? existing.metrics : {}), ...trends },
+    failures: [...(sameRun ? existing.failures : []), ...failures],
+  });
+}
+
+/**
+ * Reads the approved baseline for a scenario
+ * @param {string} key - Baseline key
+ * @returns {Object|null} Approved record or null when none was promoted
+ */
+export function loadBaseline(key) {
+  return readRecord(approvedDir, key);
+}
+
+/**
+ * Lists stored records
+ * @param {string} dir - approvedDir or candidatesDir
+ * @returns {Array<Object>} Records sorted by key
+ */
+export function listRecords(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Promotes candidate records to approved baselines
+ * @param {Object} options - { filter: key substring, force: include failed runs }
+ * @returns {Object} { promoted: [keys], skipped: [{ key, reason }] }
+ */
+export function promoteCandidates({ filter = "", force = false } = {}) {
+  const promoted = [];
+  const skipped = [];
+
+  for (const record of listRecords(candidatesDir)) {
+    if (filter && !record.key.includes(filter)) continue;
+    if (record.failures.length > 0 && !force) {
+      skipped.push({
+        key: record.key,
+        reason: `run reported failures: ${record.failures
+          .map((failure) => failure.message)
+          .join("; ")}`,
+      });
+      continue;
+    }
+    writeRecord(approvedDir, {
+      ...record,
+      promotedAt: new Date().toISOString(),
+    });
+    promoted.push(record.key);
+  }
+
+  return { promoted, skipped };
+}
@@ -0,0 +1,68 @@
+import { loadYamlProfiles, findNamedProfile } from "./yamlProfiles.js";
+
+const PROFILES_FILE = "device-profiles.yaml";
+
+// Shortcut tags and the named device each one selects
+export const DEVICE_TAG_ALIASES = {
+  "@Mobile": "Pixel 7",
+  "@Tablet": "iPad Air",
+};
+
+// Used when a scenario has no device tag
+export const DEFAULT_DEVICE = "Desktop";
+
+/**
+ * Validates a device profile and maps it to k6 browser context options
+ * @param {string} name - Device name used in error messages
+ * @param {Object} profile - { viewport, deviceScaleFactor, isMobile, hasTouch, userAgent }
+ * @returns {Object} Context options for browser.newContext
+ * @throws {Error} If the viewport is missing or invalid
+ */
+function toContextOptions(name, profile) {
+  const { width, height } = profile.viewport || {};
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error(
+      `Device profile "${name}" needs a viewport with positive width and height`
+    );
+  }
+  const options = {
+    viewport: { width, height },
+    deviceScaleFactor: profile.deviceScaleFactor || 1,
+    isMobile: Boolean(profile.isMobile),
+    hasTouch: Boolean(profile.hasTouch),
+  };
+  if (profile.userAgent) {
+    options.userAgent = profile.userAgent;
+  }
+  return options;
+}
+
+/**
+ * Resolves the emulated device of a scenario from its tags
+ * @param {Array<string>} tagNames - Scenario tag names (with "@")
+ * @returns {Object} { name, contextOptions }
+ * @throws {Error} If several device tags are present or the device is unknown
+ */
+export function resolveDevice(tagNames) {
+  const deviceTags = tagNames.filter(
+    (tag) => DEVICE_TAG_ALIASES[tag] || /^@Device\(.+\)$/.test(tag)
+  );
+  if (deviceTags.length > 1) {
+    throw new Error(
+      `Only one device tag per scenario is supported, got: ${deviceTags.join(
+        ", "
+      )}`
+    );
+  }
+
+  const tag = deviceTags[0];
+  const requested = !tag
+    ? DEFAULT_DEVICE
+    : DEVICE_TAG_ALIASES[tag] || tag.match(/^@Device\((.+)\)$/)[1];
+  const { name, ...profile } = findNamedProfile(
+    loadYamlProfiles(PROFILES_FILE),
+    requested,
+    PROFILES_FILE
+  );
+  return { name, contextOptions: toContextOptions(name, profile) };
+}
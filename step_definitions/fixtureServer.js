@@ -0,0 +1,307 @@
+import http from "http";
+import { getLogger } from "./logConfig.js";
+
+const logger = getLogger("fixtures");
+
+// Placeholder for the server's base url in feature files, e.g. "{fixture}/slow-component"
+export const FIXTURE_PLACEHOLDER = "{fixture}";
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Reads a non-negative integer query parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @param {number} fallback - Value when the parameter is missing or invalid
+ * @returns {number} Parameter value
+ */
+function intParam(params, name, fallback) {
+  const value = Number(params.get(name));
+  return params.has(name) && Number.isInteger(value) && value >= 0
+    ? value
+    : fallback;
+}
+
+/**
+ * Wraps a page body in a minimal HTML document
+ * @param {string} title - Document title
+ * @param {string} body - Body markup
+ * @param {string} head - Extra head markup (optional)
+ * @returns {string} HTML document
+ */
+function htmlPage(title, body, head = "") {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; padding: 16px; }
+    main { min-height: 90vh; }
+  </style>
+  ${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Pages and assets; every route also accepts ?serverDelay=<ms> to delay the response
+const ROUTES = {
+  "/": () => ({
+    contentType: "text/html",
+    body: htmlPage(
+      "Fixture pages",
+      `<main><h1>Fixture pages</h1><ul>${Object.keys(ROUTES)
+        .filter((route) => route !== "/")
+        .map((route) => `<li><a href="${route}">${route}</a></li>`)
+        .join("")}</ul></main>`
+    ),
+  }),
+
+  // Plain page with a heading and a paragraph
+  "/static": () => ({
+    contentType: "text/html",
+    body: htmlPage(
+      "Static page",
+      `<main><h1 id="title">Static page</h1><p id="content">Served by the fixture server.</p></main>`
+    ),
+  }),
+
+  // #late-component renders ?delay=<ms> (default 1500) after the document loaded
+  "/slow-component": (params) => ({
+    contentType: "text/html",
+    body: htmlPage(
+      "Slow component",
+      `<main><h1>Slow component</h1><div id="late-component"></div></main>
+<script>
+  setTimeout(() => {
+    document.getElementById("late-component").textContent = "Loaded component";
+  }, ${intParam(params, "delay", 1500)});
+</script>`
+    ),
+  }),
+
+  // #api-result and #item-list are filled from /api/data, which answers after
+  // ?delay=<ms> (default 1000); #spinner is removed and aria-busy turns false then
+  "/slow-api": (params) => ({
+    contentType: "text/html",
+    body: htmlPage(
+      "Slow API",
+      `<main><h1>Slow API</h1><div id="spinner">Loading...</div><div id="api-result">Loading...</div><ul id="item-list" aria-busy="true"></ul></main>
+<script>
+  fetch("/api/data?delay=${intParam(params, "delay", 1000)}")
+    .then((response) => response.json())
+    .then((data) => {
+      document.getElementById("api-result").textContent = data.items.length + " items";
+      const list = document.getElementById("item-list");
+      list.innerHTML = data.items.map((item) => "<li>" + item.name + "</li>").join("");
+      list.setAttribute("aria-busy", "false");
+      document.getElementById("spinner").remove();
+    });
+</script>`
+    ),
+  }),
+
+  "/api/data": (params) => ({
+    contentType: "application/json",
+    delay: intParam(params, "delay", 1000),
+    body: JSON.stringify({
+      items: Array.from({ length: 10 }, (_, index) => ({
+        id: index + 1,
+        name: `Item ${index + 1}`,
+      })),
+    }),
+  }),
+
+  // #panel is visible at once; #panel-spinner only renders after ?spinnerDelay=<ms>
+  // (default 500) and is removed ?delay=<ms> (default 1000) later. ?spinner=0 never
+  // renders it, like a component whose data was cached
+  "/late-spinner": (params) => {
+    const spinnerScript = `<script>
+  setTimeout(() => {
+    const spinner = document.createElement("div");
+    spinner.id = "panel-spinner";
+    spinner.textContent = "Loading...";
+    document.getElementById("panel").append(spinner);
+    setTimeout(() => spinner.remove(), ${intParam(params, "delay", 1000)});
+  }, ${intParam(params, "spinnerDelay", 500)});
+</script>`;
+    return {
+      contentType: "text/html",
+      body: htmlPage(
+        "Late spinner",
+        `<main><h1>Late spinner</h1><div id="panel">Panel</div></main>
+${params.get("spinner") === "0" ? "" : spinnerScript}`
+      ),
+    };
+  },
+
+  // A ?height=<px> (default 400) banner pushes the content down after ?delay=<ms> (default 500)
+  "/layout-shift": (params) => ({
+    contentType: "text/html",
+    body: htmlPage(
+      "Layout shift",
+      `<main id="content"><h1>Layout shift</h1><p>This content moves when the banner appears.</p></main>
+<script>
+  setTimeout(() => {
+    const banner = document.createElement("div");
+    banner.id = "banner";
+    banner.style.height = "${intParam(params, "height", 400)}px";
+    banner.style.background = "#fc0";
+    banner.textContent = "Late banner";
+    document.body.insertBefore(banner, document.body.firstChild);
+  }, ${intParam(params, "delay", 500)});
+</script>`
+    ),
+  }),
+
+  // Blocks the main thread for ?duration=<ms> (default 300) after the first paint;
+  // #busy-button blocks it for ?clickDuration=<ms> (default 150), then adds #task-done
+  "/long-task": (params) => {
+    const duration = intParam(params, "duration", 300);
+    const clickDuration = intParam(params, "clickDuration", 150);
+    return {
+      contentType: "text/html",
+      body: htmlPage(
+        "Long task",
+        `<main id="content"><h1>Long task</h1><button id="busy-button">Run task</button></main>
+<script>
+  const block = (ms) => {
+    const end = performance.now() + ms;
+    while (performance.now() < end) {}
+  };
+  requestAnimationFrame(() => setTimeout(() => block(${duration}), 0));
+  document.getElementById("busy-button").addEventListener("click", () => {
+    block(${clickDuration});
+    const done = document.createElement("p");
+    done.id = "task-done";
+    done.textContent = "Task done";
+    document.getElementById("content").appendChild(done);
+  });
+</script>`
+      ),
+    };
+  },
+
+  // #article passes an accessibility audit; #skipped-level skips a heading level (moderate)
+  "/accessibility": () => ({
+    contentType: "text/html",
+    body: htmlPage(
+      "Accessibility",
+      `<main><h1>Accessibility</h1><h3 id="skipped-level">Skipped heading level</h3><article id="article"><h2>Article</h2><p>Readable text with a <a href="/static">descriptive link</a>.</p><img src="/assets/large.svg?size=1" alt="Blue square" width="50" height="50"></article></main>`
+    ),
+  }),
+
+  // Loads a script and an image of ?size=<KB> (default 500) each
+  "/large-asset": (params) => {
+    const size = intParam(params, "size", 500);
+    return {
+      contentType: "text/html",
+      body: htmlPage(
+        "Large asset",
+        `<main><h1>Large asset</h1><img id="large-image" src="/assets/large.svg?size=${size}" alt="Large image" width="200" height="200"></main>`,
+        `<script src="/assets/large.js?size=${size}"></script>`
+      ),
+    };
+  },
+
+  // Script padded with a comment to ?size=<KB>
+  "/assets/large.js": (params) => ({
+    contentType: "application/javascript",
+    body: `window.largeAssetLoaded = true;\n/*${"x".repeat(
+      intParam(params, "size", 500) * 1024
+    )}*/\n`,
+  }),
+
+  // Image padded with a comment to ?size=<KB>
+  "/assets/large.svg": (params) => ({
+    contentType: "image/svg+xml",
+    body: `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200"><rect width="200" height="200" fill="#39c"/><!--${"x".repeat(
+      intParam(params, "size", 500) * 1024
+    )}--></svg>`,
+  }),
+};
+
+/**
+ * Answers a fixture request, after the route's or ?serverDelay= delay
+ * @param {Object} request - Incoming request
+ * @param {Object} response - Server response
+ */
+function handleRequest(request, response) {
+  const { pathname, searchParams } = new URL(request.url, baseUrl);
+  const route = ROUTES[pathname];
+  if (!route) {
+    response.writeHead(404, { "Content-Type": "text/plain" });
+    response.end(`No fixture page ${pathname}`);
+    return;
+  }
+
+  const { contentType, body, delay = 0 } = route(searchParams);
+  setTimeout(() => {
+    response.writeHead(200, {
+      "Content-Type": `${contentType}; charset=utf-8`,
+      // Every run downloads everything, so timings stay repeatable
+      "Cache-Control": "no-store",
+    });
+    response.end(body);
+  }, delay + intParam(searchParams, "serverDelay", 0));
+}
+
+/**
+ * Starts the fixture server once per process; parallel workers each get
+ * their own on a free port unless FIXTURE_SERVER_PORT is set
+ * @returns {Promise<string>} Base url, e.g. http://127.0.0.1:41234
+ */
+export function startFixtureServer() {
+  if (server) return Promise.resolve(baseUrl);
+
+  server = http.createServer(handleRequest);
+  return new Promise((resolve, reject) => {
+    server.once("error", (error) => {
+      server = null;
+      reject(new Error(`Fixture server could not start: ${error.message}`));
+    });
+    server.listen(
+      Number(process.env.FIXTURE_SERVER_PORT) || 0,
+      "127.0.0.1",
+      () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        logger.info(`🧪 Fixture server listening on ${baseUrl}`);
+        resolve(baseUrl);
+      }
+    );
+  });
+}
+
+/**
+ * Stops the fixture server if it was started
+ * @returns {Promise<void>}
+ */
+export function stopFixtureServer() {
+  if (!server) return Promise.resolve();
+
+  const running = server;
+  server = null;
+  baseUrl = null;
+  return new Promise((resolve) => running.close(() => resolve()));
+}
+
+/**
+ * Replaces {fixture} with the base url of the running fixture server
+ * @param {string} text - Url or pattern from a feature file
+ * @returns {string} Text with the placeholder expanded
+ * @throws {Error} If the text uses the placeholder but the server is not running
+ */
+export function expandFixtureUrl(text) {
+  if (!text.includes(FIXTURE_PLACEHOLDER)) return text;
+  if (!baseUrl) {
+    throw new Error(
+      `${FIXTURE_PLACEHOLDER} is used but the fixture server is not running.`
+    );
+  }
+  return text.split(FIXTURE_PLACEHOLDER).join(baseUrl);
+}
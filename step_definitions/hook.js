@@ -1,5 +1,27 @@
-import { Before, After } from "@cucumber/cucumber";
+import { Before, After, AfterStep, AfterAll, Status } from "@cucumber/cucumber";
 import { getLogger } from "./logConfig.js";
+import { loadK6Result } from "./k6Results.js";
+import { writeScenarioRecord } from "./htmlReport.js";
+import {
+  attachK6Result,
+  attachScreenshots,
+  attachHarFiles,
+} from "./attachments.js";
+import {
+  loadNetworkProfiles,
+  resolveNetworkCondition,
+} from "./networkProfiles.js";
+import { resolveDevice } from "./deviceProfiles.js";
+import { resolveLoadProfile } from "./loadProfiles.js";
+import { blockThirdPartyRule } from "./routeRules.js";
+import { accessibilityAuditsFromSteps } from "./accessibility.js";
+import {
+  FIXTURE_PLACEHOLDER,
+  startFixtureServer,
+  stopFixtureServer,
+} from "./fixtureServer.js";
+import { K6_OUTCOMES } from "./k6Runner.js";
+import "./world.js";
 import fs from "fs";
 import path from "path";
 
@@ -14,26 +36,6 @@ if (!fs.existsSync(screenshotsDir)) {
   logger.info(`Screenshots directory already exists: ${screenshotsDir}`);
 }
 
-let currentScenario = null;
-let networkCondition = null;
-let cpuCondition = null;
-
-// Standard k6 browser network profiles
-const NETWORK_CONDITIONS = {
-  "4G": {
-    profile: "Regular 4G",
-    description: "Regular 4G Network Profile",
-  },
-  WIFI: {
-    profile: "WiFi",
-    description: "WiFi Network Profile",
-  },
-  "3G": {
-    profile: "Fast 3G",
-    description: "Fast 3G Network Profile",
-  },
-};
-
 // CPU condition mappings
 const CPU_CONDITIONS = {
   HighCPU: {
@@ -46,111 +48,164 @@ const CPU_CONDITIONS = {
   },
 };
 
-// Tagged Before hook for network conditions
-Before({ tags: "@4G" }, function (scenario) {
-  networkCondition = "4G";
-  const condition = NETWORK_CONDITIONS["4G"];
-  logger.info(`🌐 Network Condition: ${condition.description}`);
+// The fixture server starts with the first scenario whose steps use {fixture}
+Before(async function (scenario) {
+  const usesFixtures = scenario.pickle.steps.some(({ text, argument }) =>
+    JSON.stringify({ text, argument }).includes(FIXTURE_PLACEHOLDER)
+  );
+  if (usesFixtures) await startFixtureServer();
+});
+
+// Runs only capture a visual snapshot when the scenario compares one
+Before(function (scenario) {
+  this.visualCheck = scenario.pickle.steps.some(({ text }) =>
+    /should visually match baseline/.test(text)
+  );
+});
 
-  // Set environment variables for k6 script
-  process.env.K6_NETWORK_CONDITION = "4G";
-  process.env.K6_NETWORK_PROFILE = condition.profile;
+// The page or components audited by the accessibility steps of the scenario
+Before(function (scenario) {
+  this.accessibilityAudits = accessibilityAuditsFromSteps(
+    scenario.pickle.steps.map(({ text }) => text)
+  );
 });
 
-Before({ tags: "@WIFI" }, function (scenario) {
-  networkCondition = "WIFI";
-  const condition = NETWORK_CONDITIONS["WIFI"];
-  logger.info(`🌐 Network Condition: ${condition.description}`);
+// Network condition from @WIFI/@4G/@3G or @Network(...) tags, see network-profiles.yaml
+// The resolved conditions live on the World and reach k6 through world.k6Env()
+Before(function (scenario) {
+  const condition = resolveNetworkCondition(
+    scenario.pickle.tags.map((tag) => tag.name)
+  );
+  this.networkCondition = condition;
+  logger.info(
+    `🌐 Network Condition: ${condition.description} (latency ${condition.latency}ms, down ${condition.download}kbps, up ${condition.upload}kbps)`
+  );
+});
 
-  // Set environment variables for k6 script
-  process.env.K6_NETWORK_CONDITION = "WIFI";
-  process.env.K6_NETWORK_PROFILE = condition.profile;
+// Device emulation from @Mobile/@Tablet or @Device(...) tags, see device-profiles.yaml
+Before(function (scenario) {
+  const device = resolveDevice(scenario.pickle.tags.map((tag) => tag.name));
+  this.device = device;
+  const { viewport, deviceScaleFactor, isMobile } = device.contextOptions;
+  logger.info(
+    `📱 Device: ${device.name} (${viewport.width}x${
+      viewport.height
+    } @${deviceScaleFactor}x${isMobile ? ", mobile" : ""})`
+  );
 });
 
-Before({ tags: "@3G" }, function (scenario) {
-  networkCondition = "3G";
-  const condition = NETWORK_CONDITIONS["3G"];
-  logger.info(`🌐 Network Condition: ${condition.description}`);
+// Load shape from @Load(...) tags, see load-profiles.yaml. Without a tag the
+// k6 script falls back to VUS/ITERATIONS from k6env.yaml
+Before(function (scenario) {
+  const profile = resolveLoadProfile(
+    scenario.pickle.tags.map((tag) => tag.name)
+  );
+  if (!profile) return;
+  this.loadProfile = profile;
+  logger.info(
+    `📈 Load Profile: ${profile.name} (${profile.executor} ${JSON.stringify(
+      profile.options
+    )})`
+  );
+});
 
-  // Set environment variables for k6 script
-  process.env.K6_NETWORK_CONDITION = "3G";
-  process.env.K6_NETWORK_PROFILE = condition.profile;
+// Keeps third-party scripts, ads and analytics out of the measurement
+Before({ tags: "@BlockThirdParty" }, function () {
+  this.routeRules.push(blockThirdPartyRule());
+  logger.info("🚧 Blocking third-party requests");
 });
 
 // Tagged Before hook for CPU conditions
 Before({ tags: "@HighCPU" }, function (scenario) {
-  cpuCondition = "HighCPU";
   const condition = CPU_CONDITIONS["HighCPU"];
+  this.cpuCondition = { condition: "HighCPU", ...condition };
   logger.info(`💻 CPU Condition: ${condition.description}`);
-
-  // Set environment variables for k6 script
-  process.env.K6_CPU_CONDITION = "HighCPU";
-  process.env.K6_CPU_THROTTLING = condition.throttling.toString();
 });
 
 Before({ tags: "@LowCPU" }, function (scenario) {
-  cpuCondition = "LowCPU";
   const condition = CPU_CONDITIONS["LowCPU"];
+  this.cpuCondition = { condition: "LowCPU", ...condition };
   logger.info(`💻 CPU Condition: ${condition.description}`);
-
-  // Set environment variables for k6 script
-  process.env.K6_CPU_CONDITION = "LowCPU";
-  process.env.K6_CPU_THROTTLING = condition.throttling.toString();
 });
 
 // Hook to capture scenario information
 Before(function (scenario) {
-  currentScenario = scenario.pickle.name;
-  const scenarioTags = scenario.pickle.tags.map((tag) => tag.name).join(", ");
-
-  logger.info(`=== STARTING SCENARIO: ${currentScenario} ===`);
-  logger.info(`🏷️ Associated Tags: ${scenarioTags || "None"}`);
+  this.scenarioName = scenario.pickle.name;
+  this.scenarioTags = scenario.pickle.tags.map((tag) => tag.name).join(", ");
 
-  // Set scenario information as environment variables for k6 script
-  process.env.SCENARIO_NAME = currentScenario;
-  process.env.SCENARIO_TAGS = scenarioTags;
+  logger.info(`=== STARTING SCENARIO: ${this.scenarioName} ===`);
+  logger.info(`🏷️ Associated Tags: ${this.scenarioTags || "None"}`);
 
   // Log active conditions
-  if (networkCondition) {
+  if (this.networkCondition) {
     logger.info(
-      `🔧 Active Network Simulation: ${NETWORK_CONDITIONS[networkCondition].description}`
+      `🔧 Active Network Simulation: ${this.networkCondition.description}`
     );
   }
-  if (cpuCondition) {
-    logger.info(
-      `🔧 Active CPU Simulation: ${CPU_CONDITIONS[cpuCondition].description}`
-    );
+  if (this.cpuCondition) {
+    logger.info(`🔧 Active CPU Simulation: ${this.cpuCondition.description}`);
+  }
+});
+
+// Attach the metrics a failed step asserted on right next to it
+AfterStep(function ({ result }) {
+  const lastRun = this.k6ResultFiles[this.k6ResultFiles.length - 1];
+  if (result.status !== Status.FAILED || !lastRun) return;
+  try {
+    attachK6Result(this, lastRun.label, loadK6Result(lastRun.resultFile));
+  } catch (error) {
+    logger.warn(`k6 metrics not attached: ${error.message}`);
   }
 });
 
 // Hook to log scenario completion and cleanup
 After(function (scenario) {
   const status = scenario.result?.status || "unknown";
-  const scenarioTags = scenario.pickle.tags.map((tag) => tag.name).join(", ");
 
   logger.info(
-    `=== COMPLETED SCENARIO: ${currentScenario} - STATUS: ${status.toUpperCase()} ===`
+    `=== COMPLETED SCENARIO: ${
+      this.scenarioName
+    } - STATUS: ${status.toUpperCase()} ===`
   );
   logger.info(`${"▓".repeat(100)}`); // Bold visual border separator
 
-  // Clean up environment variables
-  delete process.env.K6_NETWORK_CONDITION;
-  delete process.env.K6_NETWORK_PROFILE;
-  delete process.env.K6_CPU_CONDITION;
-  delete process.env.K6_CPU_THROTTLING;
-  delete process.env.SCENARIO_NAME;
-  delete process.env.SCENARIO_TAGS;
-
-  // Reset conditions
-  networkCondition = null;
-  cpuCondition = null;
+  const runs = this.k6ResultFiles.map(({ label, resultFile, outcome }) => {
+    try {
+      return { label, resultFile, outcome, result: loadK6Result(resultFile) };
+    } catch (error) {
+      // A timed out or crashed run explains better why the file is missing
+      const reason =
+        outcome && outcome !== K6_OUTCOMES.PASSED
+          ? `k6 run ${outcome.replaceAll("_", " ")}: ${error.message}`
+          : error.message;
+      return { label, resultFile, outcome, error: reason };
+    }
+  });
+
+  // Attach pass/fail screenshots and HAR files to Cucumber's native reports
+  for (const { result } of runs) {
+    if (!result) continue;
+    attachScreenshots(this, result.screenshots);
+    attachHarFiles(this, result.harFiles || []);
+  }
+
+  // Store the scenario for the HTML report
+  writeScenarioRecord({
+    name: this.scenarioName,
+    tags: this.scenarioTags,
+    network: this.networkCondition?.condition || "WIFI",
+    cpu: this.cpuCondition?.condition || "HighCPU",
+    device: this.device?.name || null,
+    load: this.loadProfile?.name || null,
+    status: status.toUpperCase(),
+    message: scenario.result?.message || null,
+    runs,
+  });
 });
 
-// Export currentScenario and conditions for use in other step files if needed
-export {
-  currentScenario,
-  networkCondition,
-  cpuCondition,
-  NETWORK_CONDITIONS,
-  CPU_CONDITIONS,
-};
+AfterAll(async function () {
+  await stopFixtureServer();
+});
+
+// Export condition definitions for use in other step files if needed
+export { CPU_CONDITIONS, loadNetworkProfiles };
@@ -0,0 +1,474 @@
+import fs from "fs";
+import path from "path";
+import { formatBytes } from "./resourceBudgets.js";
+
+// One folder per cucumber run: scenario records plus the generated report
+export const reportsDir = path.join(process.cwd(), "reports");
+
+const VITALS = ["lcp", "fcp", "cls", "ttfb", "inp"];
+
+// Resource budget trends hold bytes and counts, not milliseconds
+const BUDGET_METRIC =
+  /^(page_weight_bytes|page_requests|resource_bytes|resource_requests|largest_resource_bytes)/;
+
+/**
+ * Returns the report folder of the current cucumber run
+ * @returns {string} Absolute folder path
+ */
+function runReportDir() {
+  return path.join(reportsDir, process.env.PERF_RUN_ID || "latest");
+}
+
+/**
+ * Stores the record of a finished scenario for the run report
+ * @param {Object} record - { name, tags, network, cpu, device, status, message, runs }
+ */
+export function writeScenarioRecord(record) {
+  const dir = path.join(runReportDir(), "scenarios");
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const slug = record.name
+    .replace(/[^a-zA-Z0-9\s]/g, "")
+    .replace(/\s+/g, "_")
+    .substring(0, 60);
+  const file = `${Date.now()}_${slug}_${Math.random()
+    .toString(36)
+    .slice(2, 6)}.json`;
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(record, null, 2));
+}
+
+/**
+ * Reads all scenario records of the current run in execution order
+ * @returns {Array<Object>} Scenario records
+ */
+export function readScenarioRecords() {
+  const dir = path.join(runReportDir(), "scenarios");
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+}
+
+/**
+ * Escapes text for HTML output
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats a millisecond value, or CLS without unit
+ * @param {number} value - Value in ms (unitless for CLS)
+ * @param {boolean} unitless - True for CLS
+ * @returns {string} Formatted value or "-"
+ */
+function formatValue(value, unitless = false) {
+  if (typeof value !== "number") return "-";
+  if (unitless) return value.toFixed(3);
+  return value >= 1000
+    ? `${(value / 1000).toFixed(2)}s`
+    : `${value.toFixed(0)}ms`;
+}
+
+/**
+ * Collects the metrics of all k6 runs of a scenario into one view
+ * @param {Object} record - Scenario record
+ * @returns {Object} { trends, vitals, subcomponents, backgroundLoad, resources, routing, accessibility, checks, apiRequests, screenshots, harFiles, failures }
+ */
+function summarizeRuns(record) {
+  const summary = {
+    trends: {},
+    vitals: {},
+    subcomponents: [],
+    backgroundLoad: null,
+    resources: [],
+    routing: [],
+    accessibility: [],
+    checks: [],
+    apiRequests: [],
+    screenshots: [],
+    harFiles: [],
+    failures: [],
+  };
+  for (const { label, result, error } of record.runs) {
+    if (error) {
+      summary.failures.push({ message: `${label}: ${error}` });
+      continue;
+    }
+    for (const [name, values] of Object.entries(result.trends || {})) {
+      // Byte and request counts get their own table below the load times
+      if (name.startsWith("browser_") || BUDGET_METRIC.test(name)) continue;
+      summary.trends[countRuns(record) > 1 ? `${name} (${label})` : name] =
+        values;
+    }
+    Object.assign(summary.vitals, result.vitals);
+    summary.subcomponents.push(...(result.subcomponents || []));
+    summary.backgroundLoad = result.backgroundLoad || summary.backgroundLoad;
+    summary.resources.push(...(result.resources || []));
+    summary.routing.push(...(result.routing || []));
+    summary.accessibility.push(...(result.accessibility || []));
+    summary.checks.push(...(result.checks?.details || []));
+    summary.apiRequests.push(...(result.apiRequests || []));
+    summary.screenshots.push(...(result.screenshots || []));
+    summary.harFiles.push(...(result.harFiles || []));
+    summary.failures.push(...(result.failures || []));
+  }
+  return summary;
+}
+
+/**
+ * Counts the k6 runs of a scenario that produced a result
+ * @param {Object} record - Scenario record
+ * @returns {number} Number of runs
+ */
+function countRuns(record) {
+  return record.runs.filter((run) => run.result).length;
+}
+
+/**
+ * Embeds a screenshot as a data URI so the report stays self-contained
+ * @param {string} screenshotPath - Path relative to the project root
+ * @returns {string|null} Data URI or null when the file is missing
+ */
+function embedScreenshot(screenshotPath) {
+  const file = path.join(process.cwd(), screenshotPath);
+  if (!fs.existsSync(file)) return null;
+  return `data:image/png;base64,${fs.readFileSync(file).toString("base64")}`;
+}
+
+/**
+ * Renders the detail section of one scenario
+ * @param {Object} record - Scenario record
+ * @param {Object} summary - Output of summarizeRuns
+ * @returns {string} HTML fragment
+ */
+function renderScenarioDetails(record, summary) {
+  const trendRows = Object.entries(summary.trends)
+    .map(
+      ([name, values]) =>
+        `<tr><td>${escapeHtml(name)}</td>${["avg", "min", "med", "max", "p(95)"]
+          .map((stat) => `<td>${formatValue(values[stat])}</td>`)
+          .join("")}</tr>`
+    )
+    .join("");
+
+  const checkRows = summary.checks
+    .map(
+      ({ name, passes, fails }) =>
+        `<tr><td>${fails === 0 ? "✅" : "❌"}</td><td>${escapeHtml(
+          name
+        )}</td><td>${passes}</td><td>${fails}</td></tr>`
+    )
+    .join("");
+
+  const apiRows = summary.apiRequests
+    .map(
+      ({ method, status, responseTime, url }) =>
+        `<tr><td>${escapeHtml(
+          method
+        )}</td><td>${responseTime}</td><td>${escapeHtml(
+          status
+        )}</td><td>${escapeHtml(url)}</td></tr>`
+    )
+    .join("");
+
+  const load = summary.backgroundLoad;
+  const backgroundLoad = load
+    ? `<table><tr><th>Target</th><th>Rate</th><th>Requests</th><th>Achieved</th><th>Failed</th><th>Dropped</th><th>avg</th><th>p95</th></tr>
+      <tr><td>${escapeHtml(load.url)}</td><td>${load.rate} req/s${
+        load.rampSeconds ? ` (ramp ${load.rampSeconds}s)` : ""
+      }</td><td>${load.requests}</td><td>${load.requestRate.toFixed(
+        1
+      )} req/s</td><td>${(load.failedRate * 100).toFixed(1)}%</td><td>${
+        load.droppedIterations
+      }</td><td>${formatValue(load.duration?.avg)}</td><td>${formatValue(
+        load.duration?.["p(95)"]
+      )}</td></tr></table>`
+    : "";
+
+  // Requests caught by each blocking or mocking rule, summed over the page loads
+  const routingRules = new Map();
+  for (const rules of summary.routing) {
+    for (const { action, rule, fixture, requests } of rules) {
+      const key = `${action} ${rule}`;
+      const total = routingRules.get(key) || {
+        action,
+        rule,
+        fixture,
+        requests: 0,
+      };
+      total.requests += requests;
+      routingRules.set(key, total);
+    }
+  }
+  const routingRows = [...routingRules.values()]
+    .map(
+      ({ action, rule, fixture, requests }) =>
+        `<tr><td>${
+          action === "block" ? "blocked" : "mocked"
+        }</td><td>${escapeHtml(rule)}</td><td>${escapeHtml(
+          fixture || "-"
+        )}</td><td>${requests}</td></tr>`
+    )
+    .join("");
+
+  // Violations found by the accessibility audits, once per rule and element
+  const violations = new Map();
+  for (const audit of summary.accessibility) {
+    for (const violation of audit.violations) {
+      violations.set(
+        `${audit.selector} ${violation.rule} ${violation.selector}`,
+        violation
+      );
+    }
+  }
+  const violationRows = [...violations.values()]
+    .map(
+      ({ impact, rule, helpUrl, selector, snippet }) =>
+        `<tr><td>${escapeHtml(impact || "-")}</td><td><a href="${escapeHtml(
+          helpUrl
+        )}">${escapeHtml(rule)}</a></td><td>${escapeHtml(
+          selector
+        )}</td><td><code>${escapeHtml(snippet)}</code></td></tr>`
+    )
+    .join("");
+
+  // The heaviest page load of the scenario, by resource type
+  const heaviest = summary.resources.reduce(
+    (max, load) => (!max || load.totalBytes > max.totalBytes ? load : max),
+    null
+  );
+  const resourceRows = heaviest
+    ? Object.entries(heaviest.byType)
+        .filter(([, { requests }]) => requests > 0)
+        .map(
+          ([type, { bytes, requests, largest }]) =>
+            `<tr><td>${escapeHtml(
+              type
+            )}</td><td>${requests}</td><td>${formatBytes(
+              bytes
+            )}</td><td>${escapeHtml(largest?.url || "-")} (${formatBytes(
+              largest?.bytes || 0
+            )})</td></tr>`
+        )
+        .join("") +
+      `<tr><th>Total</th><th>${heaviest.requests}</th><th>${formatBytes(
+        heaviest.totalBytes
+      )}</th><th></th></tr>`
+    : "";
+
+  const screenshots = summary.screenshots
+    .map(({ path: screenshotPath, testType, status }) => {
+      const src = embedScreenshot(screenshotPath);
+      const caption = `${escapeHtml(testType)} / ${escapeHtml(status)}`;
+      return src
+        ? `<figure class="${
+            status === "fail" ? "fail" : "pass"
+          }"><img src="${src}" alt="${caption}"><figcaption>${caption}<br>${escapeHtml(
+            screenshotPath
+          )}</figcaption></figure>`
+        : `<p>Missing screenshot: ${escapeHtml(screenshotPath)}</p>`;
+    })
+    .join("");
+
+  // Linked rather than embedded: HAR files get large and open in HAR viewers
+  const harFiles = summary.harFiles
+    .map(({ path: harPath, entries, failed }) => {
+      const href = path
+        .relative(runReportDir(), path.join(process.cwd(), harPath))
+        .split(path.sep)
+        .join("/");
+      return `<li><a href="${escapeHtml(href)}">${escapeHtml(
+        path.basename(harPath)
+      )}</a> (${entries} requests, ${failed} failed)</li>`;
+    })
+    .join("");
+
+  const failures = [
+    ...(record.message ? [{ message: record.message }] : []),
+    ...summary.failures,
+  ]
+    .map(({ message }) => `<li>${escapeHtml(message)}</li>`)
+    .join("");
+
+  return `
+  <details>
+    <summary>Details</summary>
+    ${failures ? `<h4>Failures</h4><ul class="failures">${failures}</ul>` : ""}
+    <h4>Load times</h4>
+    ${
+      trendRows
+        ? `<table><tr><th>Metric</th><th>avg</th><th>min</th><th>med</th><th>max</th><th>p95</th></tr>${trendRows}</table>`
+        : "<p>No load time metrics reported.</p>"
+    }
+    ${backgroundLoad ? `<h4>Background load</h4>${backgroundLoad}` : ""}
+    ${
+      resourceRows
+        ? `<h4>Resources</h4><table><tr><th>Type</th><th>Requests</th><th>Transferred</th><th>Largest</th></tr>${resourceRows}</table>`
+        : ""
+    }
+    <h4>Component checks</h4>
+    ${
+      checkRows
+        ? `<table><tr><th></th><th>Check</th><th>Passes</th><th>Fails</th></tr>${checkRows}</table>`
+        : "<p>No checks reported.</p>"
+    }
+    <h4>API summary</h4>
+    ${
+      apiRows
+        ? `<table><tr><th>Method</th><th>Response (ms)</th><th>Status</th><th>URL</th></tr>${apiRows}</table>`
+        : "<p>No API requests detected.</p>"
+    }
+    ${
+      routingRows
+        ? `<h4>Blocked & mocked requests</h4><table><tr><th>Action</th><th>Rule</th><th>Fixture</th><th>Requests</th></tr>${routingRows}</table>`
+        : ""
+    }
+    ${
+      summary.accessibility.length > 0
+        ? `<h4>Accessibility violations</h4>${
+            violationRows
+              ? `<table><tr><th>Impact</th><th>Rule</th><th>Selector</th><th>Snippet</th></tr>${violationRows}</table>`
+              : "<p>No accessibility violations found.</p>"
+          }`
+        : ""
+    }
+    <h4>HAR files</h4>
+    ${harFiles ? `<ul>${harFiles}</ul>` : "<p>No HAR files.</p>"}
+    <h4>Screenshots</h4>
+    <div class="screenshots">${screenshots || "<p>No screenshots.</p>"}</div>
+  </details>`;
+}
+
+/**
+ * Renders one scenario as a table row followed by its details row
+ * @param {Object} record - Scenario record
+ * @returns {string} HTML rows
+ */
+function renderScenario(record) {
+  const summary = summarizeRuns(record);
+  const status = (record.status || "unknown").toLowerCase();
+  const badge =
+    status === "passed" ? "pass" : status === "failed" ? "fail" : "other";
+  const mainPage = Object.entries(summary.trends).find(([name]) =>
+    name.startsWith("main_page_load_time")
+  )?.[1].avg;
+  const subcomponents = summary.subcomponents.map(
+    ({ selector, values }) => `${selector}: ${formatValue(values?.avg)}`
+  );
+  // Load profile of the browsers and the background HTTP load, when set
+  const loadParts = [
+    record.load,
+    summary.backgroundLoad && `${summary.backgroundLoad.rate} req/s`,
+  ].filter(Boolean);
+  const checksFailed = summary.checks.filter(({ fails }) => fails > 0).length;
+
+  return `
+  <tr>
+    <td><span class="badge ${badge}">${escapeHtml(
+    status.toUpperCase()
+  )}</span></td>
+    <td>${escapeHtml(record.name)}<div class="tags">${escapeHtml(
+    record.tags
+  )}</div></td>
+    <td>${escapeHtml(record.network)}</td>
+    <td>${escapeHtml(record.cpu)}</td>
+    <td>${escapeHtml(record.device || "Desktop")}</td>
+    <td>${escapeHtml(loadParts.join(" + ") || "-")}</td>
+    <td>${formatValue(mainPage)}</td>
+    <td>${
+      subcomponents.length ? escapeHtml(subcomponents.join(", ")) : "-"
+    }</td>
+    ${VITALS.map(
+      (vital) =>
+        `<td>${formatValue(summary.vitals[vital]?.avg, vital === "cls")}</td>`
+    ).join("")}
+    <td>${summary.checks.length - checksFailed}/${summary.checks.length}</td>
+  </tr>
+  <tr class="details"><td colspan="${
+    9 + VITALS.length
+  }">${renderScenarioDetails(record, summary)}</td></tr>`;
+}
+
+/**
+ * Merges the scenario records of every worker into one result set
+ * @returns {string|null} Path of results.json, or null when no scenario was recorded
+ */
+export function writeCombinedResults() {
+  const records = readScenarioRecords();
+  if (records.length === 0) return null;
+
+  const combined = {
+    runId: process.env.PERF_RUN_ID || null,
+    generatedAt: new Date().toISOString(),
+    total: records.length,
+    passed: records.filter((r) => r.status === "PASSED").length,
+    failed: records.filter((r) => r.status === "FAILED").length,
+    scenarios: records,
+  };
+  const resultsPath = path.join(runReportDir(), "results.json");
+  fs.writeFileSync(resultsPath, JSON.stringify(combined, null, 2));
+  return resultsPath;
+}
+
+/**
+ * Generates the self-contained HTML report for the current run
+ * @returns {string|null} Report path, or null when no scenario was recorded
+ */
+export function generateHtmlReport() {
+  const records = readScenarioRecords();
+  if (records.length === 0) return null;
+
+  const passed = records.filter((r) => r.status === "PASSED").length;
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Performance Report ${escapeHtml(process.env.PERF_RUN_ID || "")}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+  th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; font-size: 14px; }
+  th { background: #f4f4f4; }
+  tr.details > td { background: #fafafa; }
+  .badge { padding: 2px 8px; border-radius: 10px; color: #fff; font-weight: bold; font-size: 12px; }
+  .badge.pass { background: #2e7d32; } .badge.fail { background: #c62828; } .badge.other { background: #757575; }
+  .tags { color: #777; font-size: 12px; }
+  .failures { color: #c62828; }
+  .screenshots { display: flex; flex-wrap: wrap; gap: 12px; }
+  figure { margin: 0; border: 3px solid #2e7d32; max-width: 360px; }
+  figure.fail { border-color: #c62828; }
+  figure img { width: 100%; display: block; }
+  figcaption { font-size: 12px; padding: 4px; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>UI Performance Report</h1>
+<p>Run ${escapeHtml(process.env.PERF_RUN_ID || "")} — generated ${escapeHtml(
+    new Date().toISOString()
+  )} — <strong>${passed}/${records.length} scenarios passed</strong></p>
+<table>
+  <tr>
+    <th>Result</th><th>Scenario</th><th>Network</th><th>CPU</th><th>Device</th><th>Load</th><th>Main page</th><th>Subcomponents</th>
+    ${VITALS.map((vital) => `<th>${vital.toUpperCase()}</th>`).join("")}
+    <th>Checks</th>
+  </tr>
+  ${records.map(renderScenario).join("")}
+</table>
+</body>
+</html>
+`;
+
+  const reportPath = path.join(runReportDir(), "performance-report.html");
+  fs.writeFileSync(reportPath, html);
+  return reportPath;
+}
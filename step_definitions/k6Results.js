@@ -0,0 +1,127 @@
+import fs from "fs";
+import path from "path";
+
+// Directory that receives one JSON result file per k6 run (see handleSummary)
+export const resultsDir = path.join(process.cwd(), "results");
+
+/**
+ * Builds a unique result file path for the next k6 run
+ * @param {string} label - Short description of the run (scenario, selector...)
+ * @returns {string} Relative path passed to k6 as RESULT_FILE
+ */
+export function createResultFilePath(label) {
+  if (!fs.existsSync(resultsDir)) {
+    fs.mkdirSync(resultsDir, { recursive: true });
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const slug = (label || "run")
+    .replace(/[^a-zA-Z0-9\s]/g, "")
+    .replace(/\s+/g, "_")
+    .substring(0, 40);
+  const suffix = Math.random().toString(36).slice(2, 6);
+  return path.join("results", `${timestamp}_${slug}_${suffix}.json`);
+}
+
+/**
+ * Reads the result file written by the k6 handleSummary hook
+ * @param {string} resultFile - Path given to k6 as RESULT_FILE
+ * @returns {Object} Parsed k6 result
+ * @throws {Error} If k6 did not write the file or it is not valid JSON
+ */
+export function loadK6Result(resultFile) {
+  if (!fs.existsSync(resultFile)) {
+    throw new Error(
+      `k6 result file ${resultFile} was not written. k6 most likely failed before handleSummary ran; check the k6 output above.`
+    );
+  }
+  try {
+    return JSON.parse(fs.readFileSync(resultFile, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `k6 result file ${resultFile} is not valid JSON: ${error.message}`
+    );
+  }
+}
+
+// Result fields filled from the artifacts a k6 run reported through the
+// artifact sink (reportArtifact in k6/ui_performance.js), by artifact kind
+const ARTIFACT_FIELDS = {
+  screenshot: { field: "screenshots" },
+  failure: { field: "failures" },
+  api: { field: "apiRequests" },
+  // The HAR documents go to their own files, the result only lists them
+  har: { field: "harFiles" },
+  visual: { field: "visualSnapshot", pick: (payloads) => payloads.at(-1) },
+  // TBT, longest task and the worst long animation frame, per measured load
+  mainThread: { field: "mainThread" },
+  // axe-core violations of each audited page or component, per measured load
+  a11y: { field: "accessibility" },
+  // Requests caught by blocking and mocking rules, per measured load
+  routing: {
+    field: "routing",
+    pick: (payloads) => payloads.map(({ rules }) => rules),
+  },
+  // Page weight per measured load, with the largest resource of each type
+  resources: { field: "resources" },
+  profile: { field: "profile", pick: (payloads) => payloads[0] },
+  // Counts only; the session itself was written to SESSION_OUTPUT_FILE
+  session: { field: "session", pick: (payloads) => payloads[0] },
+};
+
+/**
+ * Adds the artifacts collected by the artifact sink during a k6 run to the
+ * result file written by its handleSummary hook
+ * @param {string} resultFile - Path given to k6 as RESULT_FILE
+ * @param {Object} artifacts - Payloads by artifact kind, in arrival order
+ * @throws {Error} If the result file is missing or not valid JSON
+ */
+export function mergeRunArtifacts(resultFile, artifacts) {
+  if (Object.keys(artifacts).length === 0) return;
+  const result = loadK6Result(resultFile);
+
+  for (const [kind, payloads] of Object.entries(artifacts)) {
+    const mapping = ARTIFACT_FIELDS[kind];
+    if (!mapping) continue;
+    result[mapping.field] = mapping.pick ? mapping.pick(payloads) : payloads;
+  }
+  // Readiness conditions of each component in the last measured load
+  for (const subcomponent of result.subcomponents || []) {
+    subcomponent.conditions =
+      (artifacts.readiness || [])
+        .filter(({ component }) => component === subcomponent.component)
+        .at(-1)?.conditions || [];
+  }
+
+  fs.writeFileSync(resultFile, JSON.stringify(result, null, 2));
+}
+
+/**
+ * Looks up one statistic of a Trend metric from a k6 result
+ * @param {Object} result - Parsed k6 result
+ * @param {string} metric - Trend metric name (e.g. main_page_load_time)
+ * @param {string} stat - Summary statistic (avg, min, med, max, p(90), p(95))
+ * @returns {number} Metric value in milliseconds (unitless for CLS)
+ * @throws {Error} If the metric or statistic is missing from the result
+ */
+export function getTrendStat(result, metric, stat = "avg") {
+  const trend = result.trends?.[metric];
+  if (!trend) {
+    const available = Object.keys(result.trends || {}).join(", ") || "none";
+    const failures = (result.failures || [])
+      .map((failure) => failure.message)
+      .join("; ");
+    throw new Error(
+      `Metric ${metric} was not reported by k6. Available trends: ${available}` +
+        (failures ? `. Run failures: ${failures}` : "")
+    );
+  }
+  const value = trend[stat];
+  if (typeof value !== "number" || isNaN(value)) {
+    throw new Error(
+      `Metric ${metric} has no ${stat} value. Available statistics: ${Object.keys(
+        trend
+      ).join(", ")}`
+    );
+  }
+  return value;
+}
@@ -0,0 +1,193 @@
+import { spawn, spawnSync } from "child_process";
+import readline from "readline";
+import { getLogger } from "./logConfig.js";
+
+const logger = getLogger("k6");
+
+// Wall-clock limit of a single k6 run, override with K6_RUN_TIMEOUT (seconds)
+const DEFAULT_TIMEOUT_SECONDS = 300;
+
+// Time k6 gets to stop Chromium after SIGTERM before the tree is killed
+const KILL_GRACE_MS = 5000;
+
+const IS_WINDOWS = process.platform === "win32";
+
+export const K6_OUTCOMES = {
+  PASSED: "passed",
+  THRESHOLD_FAILED: "threshold_failed",
+  SCRIPT_ERROR: "script_error",
+  TIMEOUT: "timeout",
+};
+
+// https://grafana.com/docs/k6/latest/reference/exit-codes/
+const THRESHOLDS_HAVE_FAILED = 99;
+
+// k6 processes still running, killed on Ctrl-C
+const activeRuns = new Set();
+const CANCEL_SIGNALS = ["SIGINT", "SIGTERM"];
+
+/**
+ * Sorts a finished k6 process into one of K6_OUTCOMES
+ * @param {number|null} exitCode - Exit code of k6
+ * @param {boolean} timedOut - True when the run was killed by the timeout
+ * @returns {string} Outcome
+ */
+export function classifyExit(exitCode, timedOut) {
+  if (timedOut) return K6_OUTCOMES.TIMEOUT;
+  if (exitCode === 0) return K6_OUTCOMES.PASSED;
+  if (exitCode === THRESHOLDS_HAVE_FAILED) return K6_OUTCOMES.THRESHOLD_FAILED;
+  return K6_OUTCOMES.SCRIPT_ERROR;
+}
+
+/**
+ * Kills k6 and the Chromium processes it started
+ * @param {Object} child - Spawned k6 process
+ * @param {string} signal - SIGTERM for a graceful stop, SIGKILL to force it
+ */
+function killProcessTree(child, signal) {
+  try {
+    if (IS_WINDOWS) {
+      spawnSync("taskkill", ["/pid", String(child.pid), "/T", "/F"], {
+        stdio: "ignore",
+      });
+    } else {
+      // k6 runs detached in its own process group, which includes Chromium,
+      // so the group is killed even when k6 itself already exited
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // ESRCH: the whole tree is already gone
+    if (error.code === "ESRCH") return;
+    logger.warn(`Could not kill k6 process ${child.pid}: ${error.message}`);
+  }
+}
+
+/**
+ * Stops k6 gracefully first, then forcefully after a grace period
+ * @param {Object} child - Spawned k6 process
+ */
+function stopProcessTree(child) {
+  killProcessTree(child, "SIGTERM");
+  setTimeout(() => killProcessTree(child, "SIGKILL"), KILL_GRACE_MS).unref();
+}
+
+/**
+ * Kills every running k6 process tree, so Ctrl-C never leaves orphaned
+ * Chromium processes behind, then re-raises the signal without this handler
+ * so the process ends the way it would have without k6 runs
+ * @param {string} signal - Received signal
+ */
+function cancelActiveRuns(signal) {
+  logger.warn(
+    `⛔ ${signal} received, stopping ${activeRuns.size} running k6 process(es)`
+  );
+  for (const child of activeRuns) {
+    killProcessTree(child, "SIGKILL");
+  }
+  activeRuns.clear();
+  CANCEL_SIGNALS.forEach((name) => process.off(name, cancelActiveRuns));
+  process.kill(process.pid, signal);
+}
+
+/**
+ * Registers a started k6 process; the signal handlers are only installed
+ * while k6 runs, the rest of the time signals behave as usual
+ * @param {Object} child - Spawned k6 process
+ */
+function trackRun(child) {
+  if (activeRuns.size === 0) {
+    CANCEL_SIGNALS.forEach((name) => process.on(name, cancelActiveRuns));
+  }
+  activeRuns.add(child);
+}
+
+/**
+ * Unregisters a finished k6 process and removes the signal handlers after
+ * the last one
+ * @param {Object} child - Finished k6 process
+ */
+function untrackRun(child) {
+  if (!activeRuns.delete(child) || activeRuns.size > 0) return;
+  CANCEL_SIGNALS.forEach((name) => process.off(name, cancelActiveRuns));
+}
+
+/**
+ * Forwards each output line of a stream to the log as soon as it arrives
+ * @param {Object} stream - stdout or stderr of k6
+ * @param {string} prefix - Line prefix, usually the scenario name
+ * @param {Array<string>} lines - Collects the output in arrival order
+ */
+function streamLines(stream, prefix, lines) {
+  readline.createInterface({ input: stream }).on("line", (line) => {
+    lines.push(line);
+    logger.info(`[${prefix}] ${line}`);
+  });
+}
+
+/**
+ * Runs a k6 script without blocking the event loop
+ * @param {Object} options - Run options
+ * @param {string} options.script - k6 script path
+ * @param {Object} options.env - Environment of the k6 process
+ * @param {string} options.label - Run description for log messages
+ * @param {string} options.prefix - Prefix of streamed output lines
+ * @param {number} options.timeoutSeconds - Wall-clock limit (default K6_RUN_TIMEOUT or 300)
+ * @param {number} options.plannedSeconds - Planned duration of the load profile, added to the limit
+ * @returns {Promise<Object>} { output, exitCode, outcome, durationMs }
+ */
+export function runK6Process({
+  script,
+  env,
+  label,
+  prefix = label,
+  timeoutSeconds = Number(process.env.K6_RUN_TIMEOUT) ||
+    DEFAULT_TIMEOUT_SECONDS,
+  plannedSeconds = 0,
+}) {
+  // A 30 minute soak must not be killed by a limit meant for a single iteration
+  const limitSeconds = timeoutSeconds + plannedSeconds;
+  return new Promise((resolve) => {
+    const startTime = Date.now();
+    const lines = [];
+    let timedOut = false;
+
+    const child = spawn("k6", ["run", script], {
+      env,
+      detached: !IS_WINDOWS,
+      windowsHide: true,
+    });
+    trackRun(child);
+
+    streamLines(child.stdout, prefix, lines);
+    streamLines(child.stderr, prefix, lines);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      logger.error(
+        `⏱️ k6 run for ${label} exceeded ${limitSeconds}s, killing k6 and Chromium`
+      );
+      stopProcessTree(child);
+    }, limitSeconds * 1000);
+
+    let settled = false;
+    const finish = (exitCode, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      untrackRun(child);
+      if (error) lines.push(`Failed to start k6: ${error.message}`);
+      resolve({
+        output: lines.join("\n"),
+        exitCode,
+        outcome: error
+          ? K6_OUTCOMES.SCRIPT_ERROR
+          : classifyExit(exitCode, timedOut),
+        durationMs: Date.now() - startTime,
+      });
+    };
+
+    // "error" fires first when k6 is not installed
+    child.once("error", (error) => finish(null, error));
+    child.once("close", (exitCode) => finish(exitCode, null));
+  });
+}
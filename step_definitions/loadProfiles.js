@@ -0,0 +1,243 @@
+import { loadYamlProfiles, findNamedProfile } from "./yamlProfiles.js";
+
+const PROFILES_FILE = "load-profiles.yaml";
+
+// Options each executor accepts; the first list is required
+const EXECUTORS = {
+  "shared-iterations": [["vus", "iterations"], ["maxDuration"]],
+  "per-vu-iterations": [["vus", "iterations"], ["maxDuration"]],
+  "constant-vus": [["vus", "duration"], []],
+  "ramping-vus": [["stages"], ["startVUs", "gracefulRampDown"]],
+  "constant-arrival-rate": [
+    ["rate", "duration"],
+    ["timeUnit", "preAllocatedVUs", "maxVUs"],
+  ],
+  "ramping-arrival-rate": [
+    ["stages"],
+    ["startRate", "timeUnit", "preAllocatedVUs", "maxVUs"],
+  ],
+};
+
+// Short executor names for inline @Load(...) tags
+const EXECUTOR_ALIASES = {
+  shared: "shared-iterations",
+  iterations: "per-vu-iterations",
+  constant: "constant-vus",
+  ramping: "ramping-vus",
+  arrival: "constant-arrival-rate",
+  "ramping-arrival": "ramping-arrival-rate",
+};
+
+const DURATION_PATTERN = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+const DURATION_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600 };
+
+/**
+ * Converts a k6 duration like "1m30s" to seconds
+ * @param {string} duration - k6 duration string
+ * @returns {number} Seconds
+ */
+function durationToSeconds(duration) {
+  let seconds = 0;
+  for (const [, value, , unit] of duration.matchAll(
+    /(\d+(\.\d+)?)(ms|s|m|h)/g
+  )) {
+    seconds += Number(value) * DURATION_UNITS[unit];
+  }
+  return seconds;
+}
+
+/**
+ * Parses stages like "1→5 over 2m, 5 over 1m"
+ * @param {string} name - Profile name used in error messages
+ * @param {string|Array<Object>} stages - Stage string or [{ target, duration }]
+ * @returns {Object} { start, stages: [{ target, duration }] }, start is null when not given
+ * @throws {Error} On malformed stages
+ */
+function parseStages(name, stages) {
+  if (Array.isArray(stages)) {
+    return { start: null, stages };
+  }
+
+  let start = null;
+  const parsed = String(stages)
+    .split(",")
+    .map((segment, index) => {
+      const match = segment
+        .trim()
+        .match(/^(?:(\d+)\s*(?:→|->)\s*)?(\d+)\s+over\s+(\S+)$/);
+      if (!match) {
+        throw new Error(
+          `Load profile "${name}" has an invalid stage "${segment.trim()}". Use "<start>→<target> over <duration>" or "<target> over <duration>"`
+        );
+      }
+      if (match[1] !== undefined && index === 0) {
+        start = Number(match[1]);
+      }
+      return { target: Number(match[2]), duration: match[3] };
+    });
+  return { start, stages: parsed };
+}
+
+/**
+ * Validates a load profile and converts it to k6 executor options
+ * @param {string} name - Profile name used in error messages
+ * @param {Object} profile - { executor, ...executor options }
+ * @returns {Object} { name, executor, options, durationSeconds }
+ * @throws {Error} On unknown executors, unknown or missing options and invalid values
+ */
+export function normalizeLoadProfile(name, profile) {
+  const { executor: rawExecutor, description, ...settings } = profile;
+  const executor = EXECUTOR_ALIASES[rawExecutor] || rawExecutor;
+  if (!EXECUTORS[executor]) {
+    throw new Error(
+      `Load profile "${name}" has an unknown executor "${rawExecutor}". Use one of: ${Object.keys(
+        EXECUTORS
+      ).join(", ")}`
+    );
+  }
+
+  const [required, optional] = EXECUTORS[executor];
+  for (const key of Object.keys(settings)) {
+    if (!required.includes(key) && !optional.includes(key)) {
+      throw new Error(
+        `Load profile "${name}" (${executor}) does not support "${key}". Supported: ${[
+          ...required,
+          ...optional,
+        ].join(", ")}`
+      );
+    }
+  }
+  for (const key of required) {
+    if (settings[key] === undefined || settings[key] === "") {
+      throw new Error(`Load profile "${name}" (${executor}) needs "${key}"`);
+    }
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === "stages") continue;
+    if (
+      ["duration", "maxDuration", "timeUnit", "gracefulRampDown"].includes(key)
+    ) {
+      if (!DURATION_PATTERN.test(String(value))) {
+        throw new Error(
+          `Load profile "${name}" ${key} must be a k6 duration like 30s or 2m, got: ${value}`
+        );
+      }
+      options[key] = String(value);
+    } else {
+      // Start values may be 0, everything else needs at least one VU or iteration
+      const minimum = key.startsWith("start") ? 0 : 1;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < minimum) {
+        throw new Error(
+          `Load profile "${name}" ${key} must be an integer of at least ${minimum}, got: ${value}`
+        );
+      }
+      options[key] = number;
+    }
+  }
+
+  if (settings.stages !== undefined) {
+    const { start, stages } = parseStages(name, settings.stages);
+    options.stages = stages;
+    // A start in the first stage ("1→5 over 2m") sets the executor's start value
+    const startKey = executor === "ramping-vus" ? "startVUs" : "startRate";
+    if (start !== null && options[startKey] === undefined) {
+      options[startKey] = start;
+    }
+  }
+
+  if (executor.endsWith("arrival-rate")) {
+    options.timeUnit ??= "1s";
+    options.preAllocatedVUs ??= 1;
+    options.maxVUs ??= options.preAllocatedVUs;
+  }
+
+  const durationSeconds = options.stages
+    ? options.stages.reduce(
+        (total, stage) => total + durationToSeconds(stage.duration),
+        0
+      )
+    : options.duration
+    ? durationToSeconds(options.duration)
+    : null;
+
+  return { name, executor, options, durationSeconds };
+}
+
+/**
+ * Parses an inline profile like "ramping,1→5,2m"
+ * @param {string} definition - Content of the @Load(...) tag
+ * @returns {Object} Normalized load profile
+ * @throws {Error} If the definition does not match its executor
+ */
+function parseInlineProfile(definition) {
+  const [shorthand, first, second] = definition
+    .split(",")
+    .map((part) => part.trim());
+  const executor = EXECUTOR_ALIASES[shorthand] || shorthand;
+  const name = definition;
+
+  switch (executor) {
+    case "shared-iterations":
+    case "per-vu-iterations":
+      return normalizeLoadProfile(name, {
+        executor,
+        vus: first,
+        iterations: second,
+      });
+    case "constant-vus":
+      return normalizeLoadProfile(name, {
+        executor,
+        vus: first,
+        duration: second,
+      });
+    case "ramping-vus":
+    case "ramping-arrival-rate":
+      return normalizeLoadProfile(name, {
+        executor,
+        stages: `${first} over ${second}`,
+      });
+    case "constant-arrival-rate": {
+      const [rate, timeUnit = "1s"] = (first || "").split("/");
+      return normalizeLoadProfile(name, {
+        executor,
+        rate,
+        timeUnit: /^\d/.test(timeUnit) ? timeUnit : `1${timeUnit}`,
+        duration: second,
+      });
+    }
+    default:
+      throw new Error(
+        `Invalid @Load(${definition}). Use a profile from ${PROFILES_FILE} or one of: shared,<vus>,<iterations> | iterations,<vus>,<iterations> | constant,<vus>,<duration> | ramping,<start>→<target>,<duration> | arrival,<rate>/<timeUnit>,<duration>`
+      );
+  }
+}
+
+/**
+ * Resolves the load profile of a scenario from its tags
+ * @param {Array<string>} tagNames - Scenario tag names (with "@")
+ * @returns {Object|null} Normalized load profile, null for the k6env.yaml defaults
+ * @throws {Error} If several load tags are present or the profile is invalid
+ */
+export function resolveLoadProfile(tagNames) {
+  const loadTags = tagNames.filter((tag) => /^@Load\(.+\)$/.test(tag));
+  if (loadTags.length > 1) {
+    throw new Error(
+      `Only one load tag per scenario is supported, got: ${loadTags.join(", ")}`
+    );
+  }
+  if (loadTags.length === 0) return null;
+
+  const definition = loadTags[0].match(/^@Load\((.+)\)$/)[1];
+  if (definition.includes(",")) {
+    return parseInlineProfile(definition);
+  }
+  const { name, ...profile } = findNamedProfile(
+    loadYamlProfiles(PROFILES_FILE),
+    definition,
+    PROFILES_FILE
+  );
+  return normalizeLoadProfile(name, profile);
+}
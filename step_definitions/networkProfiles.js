@@ -0,0 +1,130 @@
+import { loadYamlProfiles, findNamedProfile } from "./yamlProfiles.js";
+
+const PROFILES_FILE = "network-profiles.yaml";
+
+// Legacy tags and the named profile each one selects
+export const NETWORK_TAG_ALIASES = {
+  "@WIFI": "WiFi",
+  "@4G": "Regular 4G",
+  "@3G": "Fast 3G",
+};
+
+// Applied when a scenario has no network tag
+export const DEFAULT_NETWORK_TAG = "@WIFI";
+
+// Inline @Network(...) keys and the profile field each one sets
+const INLINE_KEYS = {
+  latency: "latency",
+  down: "download",
+  download: "download",
+  up: "upload",
+  upload: "upload",
+};
+
+/**
+ * Validates the numbers of a profile
+ * @param {string} name - Profile name used in error messages
+ * @param {Object} profile - { latency, download, upload }
+ * @returns {Object} Profile with defaults for missing fields
+ * @throws {Error} If a value is not a non-negative number or packet loss is set
+ */
+function validateProfile(name, profile) {
+  // Chromium's network emulation has no packet loss, so a profile asking for
+  // it could never be reproduced
+  if (Number(profile.packetLoss) > 0) {
+    throw new Error(
+      `Network profile "${name}" sets packetLoss, which k6 browser cannot emulate; remove it`
+    );
+  }
+  const validated = {
+    description: profile.description || name,
+    latency: profile.latency ?? 0,
+    download: profile.download ?? -1, // -1 disables download throttling
+    upload: profile.upload ?? -1,
+  };
+  for (const field of ["latency", "download", "upload"]) {
+    const value = Number(validated[field]);
+    const allowsUnthrottled = field === "download" || field === "upload";
+    if (isNaN(value) || (value < 0 && !(allowsUnthrottled && value === -1))) {
+      throw new Error(
+        `Network profile "${name}" has an invalid ${field}: ${validated[field]}`
+      );
+    }
+    validated[field] = value;
+  }
+  return validated;
+}
+
+/**
+ * Loads the named network profiles from network-profiles.yaml
+ * @returns {Object} Profiles keyed by name
+ */
+export function loadNetworkProfiles() {
+  return Object.fromEntries(
+    Object.entries(loadYamlProfiles(PROFILES_FILE)).map(([name, profile]) => [
+      name,
+      validateProfile(name, profile),
+    ])
+  );
+}
+
+/**
+ * Parses an inline profile like "latency=150,down=1600,up=750"
+ * @param {string} definition - Content of the @Network(...) tag
+ * @returns {Object} { name, ...profile }
+ * @throws {Error} On unknown keys or missing values
+ */
+function parseInlineProfile(definition) {
+  const profile = {};
+  for (const pair of definition.split(",")) {
+    const [key, value] = pair.split("=").map((part) => part.trim());
+    if (!INLINE_KEYS[key] || value === undefined || value === "") {
+      throw new Error(
+        `Invalid @Network setting "${pair}". Use ${Object.keys(INLINE_KEYS)
+          .map((k) => `${k}=<number>`)
+          .join(", ")}`
+      );
+    }
+    profile[INLINE_KEYS[key]] = Number(value);
+  }
+  const name = `latency=${profile.latency ?? 0},down=${
+    profile.download ?? -1
+  },up=${profile.upload ?? -1}`;
+  return { name, ...validateProfile(name, profile) };
+}
+
+/**
+ * Resolves the network condition of a scenario from its tags
+ * @param {Array<string>} tagNames - Scenario tag names (with "@")
+ * @returns {Object} { condition, name, description, latency, download, upload }
+ * @throws {Error} If several network tags are present or a profile is invalid
+ */
+export function resolveNetworkCondition(tagNames) {
+  const networkTags = tagNames.filter(
+    (tag) => NETWORK_TAG_ALIASES[tag] || /^@Network\(.+\)$/.test(tag)
+  );
+  if (networkTags.length > 1) {
+    throw new Error(
+      `Only one network tag per scenario is supported, got: ${networkTags.join(
+        ", "
+      )}`
+    );
+  }
+
+  const tag = networkTags[0] || DEFAULT_NETWORK_TAG;
+  const profiles = loadNetworkProfiles();
+
+  if (NETWORK_TAG_ALIASES[tag]) {
+    // Legacy tags keep their short condition name (used in baseline keys)
+    return {
+      condition: tag.slice(1),
+      ...findNamedProfile(profiles, NETWORK_TAG_ALIASES[tag], PROFILES_FILE),
+    };
+  }
+
+  const definition = tag.match(/^@Network\((.+)\)$/)[1];
+  const profile = definition.includes("=")
+    ? parseInlineProfile(definition)
+    : findNamedProfile(profiles, definition, PROFILES_FILE);
+  return { condition: profile.name, ...profile };
+}
@@ -0,0 +1,134 @@
+import { defineParameterType } from "@cucumber/cucumber";
+import { RESOURCE_TYPE_NAMES, BYTE_UNITS } from "./resourceBudgets.js";
+import { IMPACT_LEVELS } from "./accessibility.js";
+
+// Web Vital names as written in feature files, e.g. "Then LCP should be ..."
+defineParameterType({
+  name: "webVital",
+  regexp: /LCP|FCP|CLS|TTFB|INP/,
+  transformer: (name) => name.toLowerCase(),
+});
+
+// Trend statistics as written in feature files, mapped to k6 summary keys
+const AGGREGATES = {
+  avg: "avg",
+  median: "med",
+  min: "min",
+  max: "max",
+  p75: "p(75)",
+  p90: "p(90)",
+  p95: "p(95)",
+  p99: "p(99)",
+};
+
+defineParameterType({
+  name: "aggregate",
+  regexp: new RegExp(Object.keys(AGGREGATES).join("|")),
+  transformer: (name) => AGGREGATES[name],
+});
+
+// Main thread metrics as written in feature files, with the statistic compared
+// when a step names none: the worst interaction counts, as for INP
+const MAIN_THREAD_METRICS = {
+  "total blocking time": {
+    metric: "total_blocking_time",
+    name: "Total blocking time",
+    stat: "avg",
+  },
+  "the longest task": {
+    metric: "longest_task",
+    name: "Longest task",
+    stat: "max",
+  },
+  "interaction latency": {
+    metric: "interaction_latency",
+    name: "Interaction latency",
+    stat: "max",
+  },
+};
+
+defineParameterType({
+  name: "mainThreadMetric",
+  regexp: new RegExp(Object.keys(MAIN_THREAD_METRICS).join("|")),
+  transformer: (text) => MAIN_THREAD_METRICS[text],
+});
+
+// Navigation Timing phases as written in feature files, mapped to the k6
+// metrics read from the page's PerformanceNavigationTiming entry
+const NAVIGATION_PHASES = {
+  "redirect time": {
+    metric: "navigation_redirect_time",
+    name: "Redirect time",
+  },
+  "DNS lookup time": { metric: "navigation_dns_time", name: "DNS lookup time" },
+  "connect time": { metric: "navigation_connect_time", name: "Connect time" },
+  "request time": { metric: "navigation_request_time", name: "Request time" },
+  "response download time": {
+    metric: "navigation_download_time",
+    name: "Response download time",
+  },
+  "DOM interactive time": {
+    metric: "navigation_dom_interactive_time",
+    name: "DOM interactive time",
+  },
+  "DOMContentLoaded time": {
+    metric: "navigation_dom_content_loaded_time",
+    name: "DOMContentLoaded time",
+  },
+  "load event time": {
+    metric: "navigation_load_event_time",
+    name: "Load event time",
+  },
+};
+
+defineParameterType({
+  name: "navigationPhase",
+  regexp: new RegExp(Object.keys(NAVIGATION_PHASES).join("|")),
+  transformer: (text) => NAVIGATION_PHASES[text],
+});
+
+// Comparison wording accepted by threshold steps; all mean "strictly less than"
+defineParameterType({
+  name: "comparison",
+  regexp: /less than|below|under/,
+});
+
+// A number with an optional time unit, e.g. "2.5 seconds", "800 ms" or "0.1"
+defineParameterType({
+  name: "threshold",
+  regexp: /\d+(?:\.\d+)?(?:\s*(?:ms|milliseconds|s|seconds))?/,
+  transformer: (text) => {
+    const [, value, unit] = text.match(/^([\d.]+)\s*([a-z]*)$/);
+    const number = parseFloat(value);
+    if (!unit) return { value: number, unit: null, text };
+    const isMs = unit === "ms" || unit === "milliseconds";
+    return { value: isMs ? number : number * 1000, unit: "ms", text };
+  },
+});
+
+// A size with its unit, e.g. "1.5 MB", "400 KB" or "512 bytes", in bytes
+defineParameterType({
+  name: "byteSize",
+  regexp: /\d+(?:\.\d+)?\s*(?:MB|KB|B|bytes)/,
+  transformer: (text) => {
+    const [, value, unit] = text.match(/^([\d.]+)\s*([a-zA-Z]+)$/);
+    return { bytes: parseFloat(value) * BYTE_UNITS[unit], text };
+  },
+});
+
+// Resource types as written in budget steps, e.g. "JavaScript" or "image"
+defineParameterType({
+  name: "resourceType",
+  regexp: new RegExp(
+    Object.keys(RESOURCE_TYPE_NAMES)
+      .sort((a, b) => b.length - a.length)
+      .join("|")
+  ),
+  transformer: (name) => ({ type: RESOURCE_TYPE_NAMES[name], name }),
+});
+
+// axe-core impact levels in accessibility steps, e.g. "of severity serious or higher"
+defineParameterType({
+  name: "impact",
+  regexp: new RegExp(IMPACT_LEVELS.join("|")),
+});
@@ -0,0 +1,79 @@
+import { expandFixtureUrl } from "./fixtureServer.js";
+
+// Columns every subcomponent row may have
+const COMPONENT_COLUMNS = ["selector", "expectedText"];
+
+/**
+ * Parses a positive whole number of a data table cell
+ * @param {string} column - Column name used in error messages
+ * @param {string} value - Cell value
+ * @returns {number} Parsed number
+ * @throws {Error} If the value is not a positive integer
+ */
+function positiveInteger(column, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${column} must be a positive whole number, got: ${value}`);
+  }
+  return number;
+}
+
+// Optional readiness columns, each parsed into a condition the k6 script
+// checks (see READINESS_CONDITIONS in k6/ui_performance.js)
+const READINESS_COLUMNS = {
+  // At least N elements match the component selector, e.g. list items
+  minCount: (value) => ({ count: positiveInteger("minCount", value) }),
+  // "name=value" must match exactly, a bare "name" only has to be set
+  attribute: (value) => {
+    const [name, ...rest] = value.split("=");
+    return {
+      name: name.trim(),
+      value:
+        rest.length > 0 ? rest.join("=").trim().replace(/^"|"$/g, "") : null,
+    };
+  },
+  // A loading indicator that must be gone (absent or invisible)
+  hiddenSelector: (value) => ({ selector: value }),
+  // Url pattern as in routing rules: substring, glob or /regular expression/
+  waitForRequest: (value) => ({ pattern: expandFixtureUrl(value) }),
+  // No DOM mutations inside the component for N ms, e.g. "500" or "500ms"
+  stableFor: (value) => ({
+    ms: positiveInteger("stableFor", value.replace(/\s*ms$/, "")),
+  }),
+};
+
+/**
+ * Converts a row of the subcomponent data table into the component the k6
+ * script measures; empty cells leave a condition out
+ * @param {Object} row - Row from dataTable.hashes()
+ * @param {number} index - 0-based row index used in error messages
+ * @returns {Object} { selector, expectedText, conditions: [{ type, ...settings }] }
+ * @throws {Error} On unknown columns or invalid condition values
+ */
+export function parseSubcomponentRow(row, index) {
+  const conditions = [];
+  for (const [column, cell] of Object.entries(row)) {
+    if (COMPONENT_COLUMNS.includes(column)) continue;
+    const parse = READINESS_COLUMNS[column];
+    if (!parse) {
+      throw new Error(
+        `Unknown subcomponent column "${column}". Supported: ${[
+          ...COMPONENT_COLUMNS,
+          ...Object.keys(READINESS_COLUMNS),
+        ].join(", ")}`
+      );
+    }
+    const value = cell?.trim();
+    if (!value) continue;
+    try {
+      conditions.push({ type: column, ...parse(value) });
+    } catch (error) {
+      throw new Error(`Subcomponent row ${index + 1}: ${error.message}`);
+    }
+  }
+  return {
+    selector: row.selector,
+    expectedText: row.expectedText,
+    conditions,
+  };
+}
@@ -0,0 +1,51 @@
+// Resource types as written in feature files, mapped to the types the k6
+// script groups requests by (see RESOURCE_TYPES in k6/ui_performance.js)
+export const RESOURCE_TYPE_NAMES = {
+  JavaScript: "script",
+  script: "script",
+  scripts: "script",
+  CSS: "stylesheet",
+  stylesheet: "stylesheet",
+  stylesheets: "stylesheet",
+  image: "image",
+  images: "image",
+  font: "font",
+  fonts: "font",
+  document: "document",
+  documents: "document",
+  media: "media",
+  XHR: "xhr",
+  fetch: "fetch",
+  other: "other",
+};
+
+// 1 KB = 1024 bytes, as in Chrome DevTools' transfer sizes
+export const BYTE_UNITS = { B: 1, bytes: 1, KB: 1024, MB: 1024 * 1024 };
+
+/**
+ * Formats a byte count for log and error messages
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes >= BYTE_UNITS.MB) return `${(bytes / BYTE_UNITS.MB).toFixed(2)} MB`;
+  if (bytes >= BYTE_UNITS.KB) return `${(bytes / BYTE_UNITS.KB).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Finds the largest resource of a type across the measured page loads
+ * @param {Object} result - Parsed k6 result
+ * @param {string} type - Resource type (script, image, ...)
+ * @returns {Object|null} { url, bytes } or null when no resource of the type loaded
+ */
+export function largestResource(result, type) {
+  return (result.resources || [])
+    .map((load) => load.byType?.[type]?.largest)
+    .filter(Boolean)
+    .reduce(
+      (largest, resource) =>
+        !largest || resource.bytes > largest.bytes ? resource : largest,
+      null
+    );
+}
@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+
+// Response bodies for mocked requests
+export const responseFixturesDir = path.join(
+  process.cwd(),
+  "fixtures",
+  "responses"
+);
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".js": "application/javascript",
+  ".css": "text/css",
+  ".html": "text/html",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain",
+};
+
+/**
+ * Builds a rule that aborts matching requests
+ * @param {string} pattern - Substring, glob ("**" spans "/") or "/regular expression/"
+ * @returns {Object} Routing rule for the k6 script
+ */
+export function blockRule(pattern) {
+  return { action: "block", pattern };
+}
+
+/**
+ * Builds a rule that blocks every request to another site than the page's
+ * @returns {Object} Routing rule for the k6 script
+ */
+export function blockThirdPartyRule() {
+  return { action: "block", thirdParty: true };
+}
+
+/**
+ * Builds a rule that answers matching requests with a fixture file
+ * @param {string} pattern - Substring, glob ("**" spans "/") or "/regular expression/"
+ * @param {string} fixture - File name below fixtures/responses
+ * @returns {Object} Routing rule for the k6 script
+ * @throws {Error} If the fixture does not exist
+ */
+export function mockRule(pattern, fixture) {
+  const file = path.join(responseFixturesDir, fixture);
+  if (!fs.existsSync(file)) {
+    const available = fs.existsSync(responseFixturesDir)
+      ? fs.readdirSync(responseFixturesDir).join(", ")
+      : "none";
+    throw new Error(
+      `Response fixture "${fixture}" not found in fixtures/responses. Available: ${available}`
+    );
+  }
+  return {
+    action: "mock",
+    pattern,
+    // Absolute, since k6 resolves relative paths against the script folder
+    fixture: file,
+    contentType:
+      CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+      "application/octet-stream",
+  };
+}
@@ -1,26 +1,118 @@
 import { Given, When, Then } from "@cucumber/cucumber";
-import { execSync } from "child_process";
 import fs from "fs";
+import path from "path";
 import yaml from "js-yaml";
 import { getLogger } from "./logConfig.js";
+import {
+  createResultFilePath,
+  loadK6Result,
+  mergeRunArtifacts,
+  getTrendStat,
+} from "./k6Results.js";
+import {
+  WEB_VITAL_BANDS,
+  WEB_VITAL_RATINGS,
+  rateWebVital,
+  formatWebVital,
+} from "./webVitals.js";
+import { baselineKey, recordCandidate, loadBaseline } from "./baselineStore.js";
+import {
+  attachK6Output,
+  attachK6Result,
+  attachVisualComparison,
+} from "./attachments.js";
+import { runK6Process, K6_OUTCOMES } from "./k6Runner.js";
+import { openArtifactSink } from "./artifactSink.js";
+import { normalizeLoadProfile } from "./loadProfiles.js";
+import { formatBytes, largestResource } from "./resourceBudgets.js";
+import { blockRule, mockRule } from "./routeRules.js";
+import { expandFixtureUrl } from "./fixtureServer.js";
+import { parseSubcomponentRow } from "./readinessConditions.js";
+import { compareWithBaseline } from "./visualBaselines.js";
+import { findViolations, formatViolation } from "./accessibility.js";
+import {
+  authDir,
+  loadAuthUser,
+  sessionFilePath,
+  findReusableSession,
+} from "./authSessions.js";
 
 const logger = getLogger();
 
-let k6Output = null;
-let k6Outputs = [];
-let url = null;
+// Scenario state (page url, journey, k6 runs) lives on the World, see world.js
 
+// "{fixture}/slow-component" targets the bundled fixture server, see fixtureServer.js
 Given("page url - {string}", function (url1) {
-  url = url1;
+  this.url = expandFixtureUrl(url1);
+  this.k6Run = null;
+  this.k6Runs = [];
+  this.journeySteps = [];
 });
 
-/////////////////////////////
+/**
+ * Resolves a background load target against the page url
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} target - Absolute URL or path such as "/api/search"
+ * @returns {string} Absolute URL
+ * @throws {Error} If a path is given before the page url is set
+ */
+function resolveLoadTarget(world, target) {
+  target = expandFixtureUrl(target);
+  if (/^https?:\/\//.test(target)) return target;
+  if (!world.url) {
+    throw new Error(
+      `Background load target "${target}" is a path; set the page url first or use an absolute URL.`
+    );
+  }
+  return new URL(target, world.url).toString();
+}
 
-When("I load the subcomponents with selectors and text", function (dataTable) {
-  // Each row: [selector, expectedText]
-  const rows = dataTable.hashes();
-  k6Outputs = [];
-  const testUrl = url;
+/**
+ * Planned duration of a k6 run beyond its single browser iteration: the load
+ * profile and the background load, including its warm-up or ramp
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object} env - Environment of the k6 process
+ * @returns {number} Seconds added to the run's wall-clock limit
+ */
+function plannedRunSeconds(world, env) {
+  let seconds = env.K6_LOAD_PROFILE
+    ? world.loadProfile?.durationSeconds || 0
+    : 0;
+  if (world.backgroundLoad) {
+    // Same defaults as the k6 script (parseBackgroundLoad)
+    const warmupSeconds =
+      world.backgroundLoad.rampSeconds ||
+      Math.max(0, +env.BACKGROUND_LOAD_WARMUP || 5);
+    seconds +=
+      Math.max(10, +env.BACKGROUND_LOAD_DURATION || 60) + warmupSeconds;
+  }
+  return seconds;
+}
+
+/**
+ * Queues a user journey step; the journey runs in a single k6 browser session
+ * once a Then step needs its timings
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object} step - Journey step ({ action, selector, text, key, timeout })
+ * @returns {Object} Queued step including its k6 Trend metric name
+ */
+function queueJourneyStep(world, step) {
+  const metric = `journey_step_${world.journeySteps.length + 1}_${step.action}`;
+  const queued = { ...step, metric };
+  world.journeySteps.push(queued);
+  return queued;
+}
+
+/**
+ * Runs the k6 UI performance script against the current page url
+ * @param {Object} world - Cucumber World of the scenario; collects the result files
+ * @param {Object} extraEnv - Additional environment variables for the run (TEST_URL overrides the page url)
+ * @param {string} label - Description used in log messages and the result file name
+ * @returns {Promise<Object>} Captured output, outcome and the result file written by handleSummary
+ * @throws {Error} If k6 timed out or failed before measuring (script error)
+ */
+async function runK6(world, extraEnv, label) {
+  const testUrl = extraEnv.TEST_URL || world.url;
   if (!testUrl) {
     throw new Error(
       "TEST_URL is not set. Make sure to use the Given step to set the app URL."
@@ -29,165 +121,959 @@ When("I load the subcomponents with selectors and text", function (dataTable) {
   // Load k6env.yaml and convert to environment variables
   const envYaml = fs.readFileSync("k6env.yaml", "utf8");
   const envVars = yaml.load(envYaml);
+  const resultFile = createResultFilePath(
+    `${world.scenarioName || ""} ${label}`
+  );
+  // Full-page screenshot of the measured page for visual comparison
+  const snapshotFile = world.visualCheck
+    ? resultFile.replace(/\.json$/, ".png")
+    : null;
 
-  for (const { selector, expectedText } of rows) {
-    try {
-      logger.info(
-        `Running k6 for subcomponent: ${selector} with TEST_URL="${testUrl}"`
-      );
+  // Prepare environment variables
+  const env = {
+    ...process.env,
+    ...envVars,
+    // Scenario name, tags and simulation conditions of this World
+    ...world.k6Env(),
+    TEST_URL: testUrl,
+    RESULT_FILE: resultFile,
+    // Measured runs start logged in when the scenario has a session
+    SESSION_STATE_FILE: world.sessionStateFile || "",
+    VISUAL_SNAPSHOT_FILE: snapshotFile || "",
+    ...extraEnv,
+  };
 
-      // Prepare environment variables
-      const env = {
-        ...process.env,
-        ...envVars,
-        TEST_URL: testUrl,
-        SUBCOMPONENT_SELECTOR: selector,
-        EXPECTED_TEXT: expectedText,
-      };
-
-      const result = execSync(`k6 run k6/ui_performance.js`, {
-        encoding: "utf-8",
-        env: env,
-      });
-      k6Outputs.push({ selector, expectedText, output: result });
-      logger.info(`Subcomponent ${selector} test completed successfully`);
-      // Log the captured k6 output to console only
-      logger.info(`k6 execution output for ${selector}:\n${result}`);
-    } catch (err) {
-      // k6 might exit with non-zero code but still have useful output in stderr
-      const output = (err.stdout || "") + (err.stderr || "");
-      k6Outputs.push({
-        selector,
-        expectedText,
-        output: output,
-      });
-      logger.warn(
-        `Subcomponent ${selector} test finished (captured from stdout/stderr)`
-      );
-      logger.warn(
-        `k6 execution output for ${selector} (from stderr):\n${output}`
-      );
-    }
+  logger.info(`Running k6 for ${label} with TEST_URL="${testUrl}"`);
+  const run = { label, resultFile, snapshotFile, outcome: null };
+  world.k6ResultFiles.push(run);
+
+  // Session files and HAR documents are written through the sink, see artifactSink.js
+  const sink = await openArtifactSink([
+    path.join(process.cwd(), "screenshots"),
+    authDir,
+  ]);
+  // Output is streamed live, prefixed with the scenario name
+  const { output, exitCode, outcome, durationMs } = await runK6Process({
+    script: "k6/ui_performance.js",
+    env: { ...env, ...sink.env },
+    label,
+    prefix: world.scenarioName || label,
+    plannedSeconds: plannedRunSeconds(world, env),
+  }).finally(() => sink.close());
+  run.outcome = outcome;
+  const summary = `k6 run for ${label}: ${outcome.replaceAll(
+    "_",
+    " "
+  )} (exit code ${exitCode}, ${(durationMs / 1000).toFixed(1)}s)`;
+  if (outcome === K6_OUTCOMES.PASSED) {
+    logger.info(summary);
+  } else {
+    logger.warn(summary);
   }
-});
 
-When("I load the main page", function () {
-  // Run the unified k6 script for the main page (no selector), passing TEST_URL from the Given step
-  const testUrl = url;
-  if (!testUrl) {
+  // Screenshots, failures and audits reported by the VUs during the run
+  try {
+    mergeRunArtifacts(resultFile, sink.artifacts);
+  } catch (error) {
+    logger.warn(`k6 run artifacts not recorded: ${error.message}`);
+  }
+
+  // Evidence for Cucumber's json/html/junit formatters
+  attachK6Output(world, label, output);
+  try {
+    attachK6Result(world, label, loadK6Result(resultFile));
+  } catch (error) {
+    logger.warn(`k6 metrics not attached: ${error.message}`);
+  }
+
+  // Threshold failures still measured; the assertions decide on their metrics
+  if (outcome === K6_OUTCOMES.TIMEOUT || outcome === K6_OUTCOMES.SCRIPT_ERROR) {
+    throw new Error(`${summary}. See the k6 output attached to this step.`);
+  }
+  return { output, outcome, resultFile, snapshotFile };
+}
+
+/**
+ * Runs the login flow of a user from auth-users.yaml and captures its session
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} name - User name from auth-users.yaml
+ * @returns {Promise<Object>} Run returned by runK6
+ * @throws {Error} If the login flow did not produce a session
+ */
+async function runLogin(world, name) {
+  const user = loadAuthUser(name);
+  const sessionFile = sessionFilePath(user.name);
+  // A file left by an earlier login must not pass for this one
+  fs.rmSync(sessionFile, { force: true });
+  const run = await runK6(
+    world,
+    {
+      TEST_URL: user.loginUrl,
+      LOGIN_USER: user.name,
+      LOGIN_STEPS: JSON.stringify(user.steps),
+      LOGIN_USERNAME: user.username,
+      LOGIN_PASSWORD: user.password,
+      SESSION_STATE_FILE: "",
+      SESSION_OUTPUT_FILE: sessionFile,
+      // A session is captured by a single browser, whatever the load profile
+      K6_LOAD_PROFILE: "",
+    },
+    `login as ${user.name}`
+  );
+
+  let result = null;
+  try {
+    result = loadK6Result(run.resultFile);
+  } catch (error) {
+    logger.warn(`Login result not readable: ${error.message}`);
+  }
+  if (!result?.session?.saved) {
+    const reasons = (result?.failures || [])
+      .map((failure) => failure.message)
+      .join("; ");
     throw new Error(
-      "TEST_URL is not set. Make sure to use the Given step to set the app URL."
+      `Login as ${user.name} did not capture a session${
+        reasons
+          ? `: ${reasons}`
+          : ". Check the k6 output attached to this step."
+      }`
     );
   }
-  // Load k6env.yaml and convert to environment variables
-  const envYaml = fs.readFileSync("k6env.yaml", "utf8");
-  const envVars = yaml.load(envYaml);
 
+  world.sessionStateFile = sessionFile;
+  logger.info(
+    `🔐 Session of ${user.name} captured: ${
+      result.session.cookies
+    } cookie(s), origins ${result.session.origins.join(", ")}`
+  );
+  return run;
+}
+
+/**
+ * Identifies the current scenario and its simulation conditions for baselines
+ * @param {Object} world - Cucumber World of the scenario
+ * @returns {Object} { key, scenario, network, cpu, device, load }
+ */
+function currentBaselineDetails(world) {
+  const scenario = world.scenarioName || "unknown scenario";
+  // Same defaults the k6 script applies when no tag is present
+  const network = world.networkCondition?.condition || "WIFI";
+  const cpu = world.cpuCondition?.condition || "HighCPU";
+  const device = world.device?.name || "Desktop";
+  const load = world.loadProfile?.name || null;
+  return {
+    key: baselineKey(scenario, network, cpu, device, load),
+    scenario,
+    network,
+    cpu,
+    device,
+    load,
+  };
+}
+
+/**
+ * Stores the trends of a finished k6 run as the scenario's baseline candidate
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object} run - Run returned by runK6
+ */
+function recordBaselineCandidate(world, run) {
+  let result;
   try {
-    logger.info(`Running k6 with TEST_URL="${testUrl}"`);
+    result = loadK6Result(run.resultFile);
+  } catch (error) {
+    logger.warn(`Baseline candidate not recorded: ${error.message}`);
+    return;
+  }
+  // Component submetrics are keyed by table position in k6; baselines key
+  // them by selector so reordering the data table keeps the comparison
+  const trends = { ...result.trends };
+  for (const { selector, metric, values } of result.subcomponents || []) {
+    delete trends[metric];
+    if (values) trends[`subcomponent_load_time{selector:${selector}}`] = values;
+  }
+  recordCandidate(currentBaselineDetails(world), trends, result.failures);
+}
 
-    // Prepare environment variables
-    const env = {
-      ...process.env,
-      ...envVars,
-      TEST_URL: testUrl,
-    };
+/**
+ * Asserts a trend metric did not regress beyond a percentage of its baseline
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} metric - Trend metric name
+ * @param {string} label - Human readable metric name for messages
+ * @param {number} maxRegression - Allowed increase in percent
+ */
+function assertNoRegression(world, metric, label, maxRegression) {
+  const { key } = currentBaselineDetails(world);
+  const current = getTrendStat(latestK6Result(world), metric);
+  const baseline = loadBaseline(key);
+  const before = baseline?.metrics?.[metric]?.avg;
 
-    const result = execSync(`k6 run k6/ui_performance.js`, {
-      encoding: "utf-8",
-      env: env,
-    });
-    k6Output = result;
-    logger.info("k6 execution completed successfully");
-    // Log the captured k6 output to console only
-    logger.info(`k6 execution output for main page:\n${result}`);
-  } catch (err) {
-    // k6 might exit with non-zero code but still have useful output in stderr
-    k6Output = (err.stdout || "") + (err.stderr || "");
-    logger.warn("k6 execution finished (captured from stdout/stderr)");
+  // Unitless metrics (CLS) are printed as-is, everything else is milliseconds
+  const format = (value) =>
+    metric === "browser_web_vital_cls"
+      ? value.toFixed(3)
+      : `${(value / 1000).toFixed(2)}s`;
+
+  if (typeof before !== "number") {
     logger.warn(
-      `k6 execution output for main page (from stderr):\n${k6Output}`
+      `No approved baseline for ${label} in "${key}". Current ${format(
+        current
+      )} recorded as candidate; run "npm run baseline:promote" to approve it.`
+    );
+    return;
+  }
+
+  const change = before === 0 ? 0 : ((current - before) / before) * 100;
+  const comparison = `baseline ${format(before)} (promoted ${
+    baseline.promotedAt
+  }) → current ${format(current)} (${change >= 0 ? "+" : ""}${change.toFixed(
+    1
+  )}%, limit +${maxRegression}%)`;
+  logger.info(`${label} vs baseline for "${key}": ${comparison}`);
+
+  if (change > maxRegression) {
+    throw new Error(
+      `${label} regressed more than ${maxRegression}% from baseline for "${key}": ${comparison}`
+    );
+  }
+}
+
+/**
+ * Returns the result of the most recent k6 run in this scenario
+ * @param {Object} world - Cucumber World of the scenario
+ * @returns {Object} Parsed k6 result
+ * @throws {Error} If no k6 run happened yet
+ */
+function latestK6Result(world) {
+  const run = world.k6Run || world.k6Runs[world.k6Runs.length - 1];
+  if (!run) {
+    throw new Error(
+      "No k6 run found in this scenario. Load the main page or subcomponents first."
     );
   }
+  return loadK6Result(run.resultFile);
+}
+
+/**
+ * Reads a Web Vital statistic from the latest k6 run
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} vital - Vital key (lcp, fcp, cls, ttfb, inp)
+ * @param {string} stat - Summary statistic (avg, p(75), p(95)...)
+ * @returns {number} Vital value (ms, unitless for CLS)
+ */
+function getWebVital(world, vital, stat) {
+  return getTrendStat(
+    latestK6Result(world),
+    `browser_web_vital_${vital}`,
+    stat
+  );
+}
+
+/**
+ * Asserts a Web Vital statistic is strictly below a threshold
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} vital - Vital key (lcp, fcp, cls, ttfb, inp)
+ * @param {string} stat - Summary statistic
+ * @param {Object} threshold - Parsed {threshold} parameter
+ */
+function assertWebVitalBelow(world, vital, stat, threshold) {
+  const { name, unit } = WEB_VITAL_BANDS[vital];
+  if (!unit && threshold.unit) {
+    throw new Error(`${name} is unitless, remove "${threshold.text}" unit`);
+  }
+  if (unit && !threshold.unit) {
+    throw new Error(
+      `${name} threshold "${threshold.text}" needs a unit (ms or seconds)`
+    );
+  }
+  const value = getWebVital(world, vital, stat);
+  logger.info(
+    `${name} ${stat}: ${formatWebVital(vital, value)} (limit: ${
+      threshold.text
+    })`
+  );
+  if (value >= threshold.value) {
+    throw new Error(
+      `${name} ${stat} was ${formatWebVital(
+        vital,
+        value
+      )}, which is not less than ${threshold.text}.`
+    );
+  }
+}
+
+/**
+ * Asserts a Web Vital is rated at least as well as the given Google band
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} vital - Vital key (lcp, fcp, cls, ttfb, inp)
+ * @param {string} expected - good, needs improvement or poor
+ */
+function assertWebVitalRating(world, vital, expected) {
+  const expectedRank = WEB_VITAL_RATINGS.indexOf(expected.toLowerCase());
+  if (expectedRank < 0) {
+    throw new Error(
+      `Unknown Web Vital rating "${expected}". Use one of: ${WEB_VITAL_RATINGS.join(
+        ", "
+      )}`
+    );
+  }
+  const { name, good, poor } = WEB_VITAL_BANDS[vital];
+  // Google rates field data at the 75th percentile
+  const value = getWebVital(world, vital, "p(75)");
+  const rating = rateWebVital(vital, value);
+  logger.info(
+    `${name} p75: ${formatWebVital(
+      vital,
+      value
+    )} rated "${rating}" (expected "${expected}" or better)`
+  );
+  if (WEB_VITAL_RATINGS.indexOf(rating) > expectedRank) {
+    throw new Error(
+      `${name} p75 was ${formatWebVital(
+        vital,
+        value
+      )} and rated "${rating}", expected "${expected}" or better (good <= ${formatWebVital(
+        vital,
+        good
+      )}, poor > ${formatWebVital(vital, poor)}).`
+    );
+  }
+}
+
+/**
+ * Asserts a timing metric statistic of the latest k6 run is strictly below a threshold
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object} timing - { metric, name } from the mainThreadMetric or navigationPhase parameter
+ * @param {string} stat - Summary statistic
+ * @param {Object} threshold - Parsed {threshold} parameter
+ */
+function assertTimingMetric(world, { metric, name }, stat, threshold) {
+  if (!threshold.unit) {
+    throw new Error(
+      `${name} threshold "${threshold.text}" needs a unit (ms or seconds)`
+    );
+  }
+  const value = getTrendStat(latestK6Result(world), metric, stat);
+  logger.info(
+    `${name} ${stat}: ${value.toFixed(0)}ms (limit: ${threshold.text})`
+  );
+  if (value >= threshold.value) {
+    throw new Error(
+      `${name} ${stat} was ${value.toFixed(0)}ms, which is not less than ${
+        threshold.text
+      }.`
+    );
+  }
+}
+
+/**
+ * Asserts a main thread metric statistic is strictly below a threshold
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object} mainThreadMetric - { metric, name, stat } from the mainThreadMetric parameter
+ * @param {string} stat - Summary statistic
+ * @param {Object} threshold - Parsed {threshold} parameter
+ */
+function assertMainThreadMetric(world, mainThreadMetric, stat, threshold) {
+  if (
+    mainThreadMetric.metric === "interaction_latency" &&
+    world.journeySteps.length === 0
+  ) {
+    throw new Error(
+      `${mainThreadMetric.name} is measured on journey steps. Type, click or press something first.`
+    );
+  }
+  assertTimingMetric(world, mainThreadMetric, stat, threshold);
+}
+
+/////////////////////////////
+
+Given("I am logged in as {string}", async function (name) {
+  // The login runs once per cucumber run; later scenarios reuse its session
+  const reusable = findReusableSession(loadAuthUser(name).name);
+  if (reusable) {
+    logger.info(`🔐 Reusing session of ${name} from this run`);
+    this.sessionStateFile = reusable;
+    return;
+  }
+  await runLogin(this, name);
+});
+
+Given(
+  "{int} requests per second of background load on {string}",
+  function (rate, target) {
+    this.backgroundLoad = {
+      url: resolveLoadTarget(this, target),
+      rate,
+      rampSeconds: 0,
+    };
+  }
+);
+
+Given(
+  "background load on {string} ramping up to {int} requests per second over {int} seconds",
+  function (target, rate, rampSeconds) {
+    this.backgroundLoad = {
+      url: resolveLoadTarget(this, target),
+      rate,
+      rampSeconds,
+    };
+  }
+);
+
+// Dynamic regions (doodles, ads, dates) are painted over before the snapshot
+Given(
+  "the region {string} is masked in visual comparisons",
+  function (selector) {
+    this.visualMasks.push(selector);
+  }
+);
+
+// Overrides an @Load(...) tag, e.g. | executor | ramping-vus | / | stages | 1→5 over 2m |
+Given("the load profile:", function (dataTable) {
+  const { name, ...profile } = dataTable.rowsHash();
+  this.loadProfile = normalizeLoadProfile(
+    name || Object.values(profile).join(" "),
+    profile
+  );
+  logger.info(
+    `📈 Load Profile: ${this.loadProfile.name} (${
+      this.loadProfile.executor
+    } ${JSON.stringify(this.loadProfile.options)})`
+  );
+});
+
+Given("requests matching {string} are blocked", function (pattern) {
+  this.routeRules.push(blockRule(expandFixtureUrl(pattern)));
+});
+
+Given(
+  "requests matching {string} respond with fixture {string}",
+  function (pattern, fixture) {
+    this.routeRules.push(mockRule(expandFixtureUrl(pattern), fixture));
+  }
+);
+
+When("I log in as {string}", async function (name) {
+  // Measured login: always runs the flow and keeps its timing for Then steps
+  this.k6Run = await runLogin(this, name);
+  recordBaselineCandidate(this, this.k6Run);
+});
+
+When(
+  "I load the subcomponents with selectors and text",
+  async function (dataTable) {
+    // Each row: [selector, expectedText, optional readiness columns]; all
+    // rows share one page load
+    const rows = dataTable.hashes().map(parseSubcomponentRow);
+    const run = await runK6(
+      this,
+      { SUBCOMPONENTS: JSON.stringify(rows) },
+      `subcomponents (${rows.length})`
+    );
+    this.k6Runs = rows.map((row, index) => ({
+      ...row,
+      ...run,
+      metric: `subcomponent_load_time{component:${index + 1}}`,
+    }));
+    recordBaselineCandidate(this, run);
+  }
+);
+
+When("I load the main page", async function () {
+  // Run the unified k6 script for the main page (no selector)
+  this.k6Run = await runK6(this, {}, "main page");
+  recordBaselineCandidate(this, this.k6Run);
+});
+
+When("I type {string} into {string}", function (text, selector) {
+  queueJourneyStep(this, { action: "type", text, selector });
+});
+
+When("I click {string}", function (selector) {
+  queueJourneyStep(this, { action: "click", selector });
+});
+
+When("I press {word}", function (key) {
+  queueJourneyStep(this, { action: "press", key });
 });
 
 /////////////////////////////
 
 Then(
-  "each subcomponent load time should be less than {int} seconds",
-  function (maxTime) {
-    if (!Array.isArray(k6Outputs) || k6Outputs.length === 0) {
+  "the results {string} should appear within {float} seconds",
+  async function (selector, maxTime) {
+    const { metric } = queueJourneyStep(this, {
+      action: "wait",
+      selector,
+      timeout: maxTime * 1000,
+    });
+
+    // A browser session cannot be resumed between k6 runs, so every run
+    // replays the whole journey queued so far in this scenario
+    this.k6Run = await runK6(
+      this,
+      { JOURNEY_STEPS: JSON.stringify(this.journeySteps) },
+      `user journey (${this.journeySteps.length} steps)`
+    );
+    recordBaselineCandidate(this, this.k6Run);
+
+    const result = loadK6Result(this.k6Run.resultFile);
+    const loadTime = getTrendStat(result, metric) / 1000;
+    logger.info(
+      `Results ${selector} appeared after ${loadTime.toFixed(
+        2
+      )}s (limit: ${maxTime}s)`
+    );
+    if (loadTime >= maxTime) {
       throw new Error(
-        "No k6 outputs found. Did you run the subcomponents step?"
+        `Results ${selector} appeared after ${loadTime.toFixed(
+          2
+        )}s, which is not less than ${maxTime}s.`
       );
     }
-    for (const { selector, output } of k6Outputs) {
-      // Parse subcomponent load time from custom metric
-      // Format: subcomponent_load_time.....: avg=2.45s or avg=318ms
-      const loadTimeMatch = output.match(
-        /subcomponent_load_time[.\s]*:\s*avg=([0-9.]+)(ms|s)/
-      );
-      if (!loadTimeMatch) {
-        throw new Error(
-          `Could not find subcomponent_load_time metric for selector ${selector} in k6 output. Output was:\n${output}`
-        );
-      }
-      const value = parseFloat(loadTimeMatch[1]);
-      const unit = loadTimeMatch[2];
-      // Convert to seconds if needed
-      const loadTime = unit === "ms" ? value / 1000 : value;
-      logger.info(
-        `Subcomponent ${selector} load time: ${loadTime.toFixed(
+  }
+);
+
+/**
+ * Asserts each subcomponent load time statistic is below the limit
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} stat - Summary statistic (avg, med, p(95)...)
+ * @param {number} maxTime - Limit in seconds
+ */
+function assertSubcomponentLoadTimes(world, stat, maxTime) {
+  if (world.k6Runs.length === 0) {
+    throw new Error("No k6 outputs found. Did you run the subcomponents step?");
+  }
+  for (const { selector, resultFile, metric } of world.k6Runs) {
+    const result = loadK6Result(resultFile);
+    const loadTime = getTrendStat(result, metric, stat) / 1000;
+    logger.info(
+      `Subcomponent ${selector} load time ${stat}: ${loadTime.toFixed(
+        2
+      )}s (limit: ${maxTime}s)`
+    );
+    if (loadTime >= maxTime) {
+      throw new Error(
+        `Subcomponent load time ${stat} for selector ${selector} was ${loadTime.toFixed(
           2
-        )}s (limit: ${maxTime}s)`
+        )}s, which is not less than ${maxTime}s.`
       );
-      if (isNaN(loadTime) || loadTime >= maxTime) {
-        throw new Error(
-          `Subcomponent load time for selector ${selector} was ${loadTime.toFixed(
-            2
-          )}s, which is not less than ${maxTime}s.`
-        );
-      }
     }
   }
+}
+
+/**
+ * Asserts the main page load time statistic is below the limit
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} stat - Summary statistic (avg, med, p(95)...)
+ * @param {number} maxTime - Limit in seconds
+ */
+function assertMainPageLoadTime(world, stat, maxTime) {
+  if (!world.k6Run) {
+    throw new Error(
+      "No k6 output found for main page. Did you run the main page step?"
+    );
+  }
+  const result = loadK6Result(world.k6Run.resultFile);
+  const loadTime = getTrendStat(result, "main_page_load_time", stat) / 1000;
+  logger.info(
+    `Main page load time ${stat}: ${loadTime.toFixed(2)}s (limit: ${maxTime}s)`
+  );
+  if (loadTime >= maxTime) {
+    throw new Error(
+      `Main page load time ${stat} was ${loadTime.toFixed(
+        2
+      )}s, which is more than ${maxTime}s.`
+    );
+  }
+}
+
+/**
+ * Asserts the login time statistic of the measured login is below the limit
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} stat - Summary statistic (avg, med, p(95)...)
+ * @param {number} maxTime - Limit in seconds
+ */
+function assertLoginTime(world, stat, maxTime) {
+  if (!world.k6Run) {
+    throw new Error(
+      'No k6 output found for the login. Did you run "When I log in as ..."?'
+    );
+  }
+  const result = loadK6Result(world.k6Run.resultFile);
+  const loginTime = getTrendStat(result, "login_time", stat) / 1000;
+  logger.info(
+    `Login time ${stat}: ${loginTime.toFixed(2)}s (limit: ${maxTime}s)`
+  );
+  if (loginTime >= maxTime) {
+    throw new Error(
+      `Login time ${stat} was ${loginTime.toFixed(
+        2
+      )}s, which is not less than ${maxTime}s.`
+    );
+  }
+}
+
+/**
+ * Reads the worst value of a resource budget metric across the measured page
+ * loads. Budgets hold for every load, so the max is compared
+ * @param {Object} result - Parsed k6 result
+ * @param {string} metric - Budget metric (page_weight_bytes, resource_bytes{type:script}...)
+ * @returns {number} Max value, 0 for resource types that never loaded
+ */
+function getBudgetValue(result, metric) {
+  if (!result.trends?.page_weight_bytes) {
+    // Without the page totals the run did not measure a page load at all
+    return getTrendStat(result, "page_weight_bytes", "max");
+  }
+  return result.trends[metric] ? getTrendStat(result, metric, "max") : 0;
+}
+
+/**
+ * Asserts the transferred bytes of a page load stay within a budget
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object|null} resourceType - { type, name } or null for all resources
+ * @param {Object} budget - { bytes, text } from the byteSize parameter
+ */
+function assertTransferBudget(world, resourceType, budget) {
+  const result = latestK6Result(world);
+  const label = resourceType ? resourceType.name : "Total transferred bytes";
+  const bytes = getBudgetValue(
+    result,
+    resourceType
+      ? `resource_bytes{type:${resourceType.type}}`
+      : "page_weight_bytes"
+  );
+  logger.info(`${label}: ${formatBytes(bytes)} (budget: ${budget.text})`);
+  if (bytes >= budget.bytes) {
+    const largest = largestResource(result, resourceType?.type);
+    throw new Error(
+      `${label} was ${formatBytes(bytes)}, which is not under ${budget.text}.` +
+        (largest
+          ? ` Largest ${resourceType.name} resource: ${
+              largest.url
+            } (${formatBytes(largest.bytes)}).`
+          : "")
+    );
+  }
+}
+
+/**
+ * Asserts the number of requests of a page load stays within a budget
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object|null} resourceType - { type, name } or null for all requests
+ * @param {number} maxRequests - Exclusive request limit
+ */
+function assertRequestBudget(world, resourceType, maxRequests) {
+  const result = latestK6Result(world);
+  const label = resourceType ? `${resourceType.name} requests` : "Requests";
+  const requests = getBudgetValue(
+    result,
+    resourceType
+      ? `resource_requests{type:${resourceType.type}}`
+      : "page_requests"
+  );
+  logger.info(`${label}: ${requests} (budget: fewer than ${maxRequests})`);
+  if (requests >= maxRequests) {
+    throw new Error(
+      `${label} were ${requests}, which is not fewer than ${maxRequests}.`
+    );
+  }
+}
+
+/**
+ * Asserts no single resource of a type exceeds a size
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {Object} resourceType - { type, name }
+ * @param {Object} budget - { bytes, text } from the byteSize parameter
+ */
+function assertLargestResource(world, resourceType, budget) {
+  const result = latestK6Result(world);
+  const bytes = getBudgetValue(
+    result,
+    `largest_resource_bytes{type:${resourceType.type}}`
+  );
+  logger.info(
+    `Largest ${resourceType.name}: ${formatBytes(bytes)} (limit: ${
+      budget.text
+    })`
+  );
+  if (bytes > budget.bytes) {
+    const largest = largestResource(result, resourceType.type);
+    throw new Error(
+      `Largest ${resourceType.name} resource was ${formatBytes(
+        bytes
+      )}, which exceeds ${budget.text}${largest ? `: ${largest.url}` : ""}.`
+    );
+  }
+}
+
+/**
+ * Asserts the accessibility audit of the latest k6 run found no violations
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string|null} selector - Component selector, null for the whole page
+ * @param {string} minImpact - Least severe impact that fails the step
+ */
+function assertNoAccessibilityViolations(world, selector, minImpact) {
+  const label = selector ? `Component "${selector}"` : "The page";
+  const { audited, errors, violations } = findViolations(
+    latestK6Result(world),
+    selector,
+    minImpact
+  );
+  if (!audited) {
+    throw new Error(
+      `${label} was not audited for accessibility${
+        errors.length > 0 ? `: ${errors.join("; ")}` : ""
+      }. Load the main page or subcomponents first and check the k6 output.`
+    );
+  }
+
+  const severity = minImpact === "minor" ? "" : ` (${minImpact} or higher)`;
+  logger.info(
+    `${label} accessibility violations${severity}: ${violations.length}`
+  );
+  violations.forEach((violation) =>
+    logger.warn(`♿ ${formatViolation(violation)}`)
+  );
+  if (violations.length > 0) {
+    throw new Error(
+      `${label} has ${
+        violations.length
+      } accessibility violation(s)${severity}:\n${violations
+        .map((violation) => `  - ${formatViolation(violation)}`)
+        .join("\n")}`
+    );
+  }
+}
+
+/**
+ * Asserts the snapshot of the latest k6 run matches its approved baseline
+ * @param {Object} world - Cucumber World of the scenario
+ * @param {string} name - Baseline name, unique within the scenario and device
+ * @param {number} maxDiffPercent - Allowed share of changed pixels in percent
+ */
+function assertVisualMatch(world, name, maxDiffPercent) {
+  const run = world.k6Run || world.k6Runs[world.k6Runs.length - 1];
+  if (!run?.snapshotFile || !fs.existsSync(run.snapshotFile)) {
+    throw new Error(
+      "No visual snapshot was captured. Load the main page or subcomponents first and check the k6 output for screenshot errors."
+    );
+  }
+
+  const details = {
+    scenario: world.scenarioName || "unknown scenario",
+    device: world.device?.name || "Desktop",
+    name,
+  };
+  const comparison = compareWithBaseline(run.snapshotFile, details);
+  attachVisualComparison(world, comparison);
+
+  if (!comparison.baseline) {
+    logger.warn(
+      `No approved visual baseline "${name}" for "${details.scenario}" on ${details.device}. Snapshot recorded as candidate; run "npm run baseline:promote" to approve it.`
+    );
+    return;
+  }
+
+  const summary = `${comparison.diffPercent.toFixed(2)}% of pixels changed (${
+    comparison.diffPixels
+  } of ${comparison.totalPixels}, limit ${maxDiffPercent}%)${
+    comparison.sizeChanged ? ", page size changed" : ""
+  }`;
+  logger.info(`Visual baseline "${name}": ${summary}`);
+  if (comparison.diffPercent > maxDiffPercent) {
+    throw new Error(
+      `Page does not visually match baseline "${name}": ${summary}. Diff image: ${comparison.diff}`
+    );
+  }
+}
+
+Then(
+  "each subcomponent load time should be less than {float} seconds",
+  function (maxTime) {
+    assertSubcomponentLoadTimes(this, "avg", maxTime);
+  }
 );
 
 Then(
-  "the main page load time should be less than {int} seconds",
+  "each subcomponent load time {aggregate} should be less than {float} seconds",
+  function (stat, maxTime) {
+    assertSubcomponentLoadTimes(this, stat, maxTime);
+  }
+);
+
+Then(
+  "the main page load time should be less than {float} seconds",
   function (maxTime) {
-    if (!k6Output || typeof k6Output !== "string") {
-      throw new Error(
-        "No k6 output found for main page. Did you run the main page step?"
-      );
-    }
-    // Parse the k6 output for main page load time from custom metric
-    // Format: main_page_load_time.....: avg=3.62s    min=3.62s    med=3.62s    max=3.62s
-    // Or:     main_page_load_time.....: avg=996ms    min=996ms    med=996ms    max=996ms
-    const match = k6Output.match(
-      /main_page_load_time[.\s]*:\s*avg=([0-9.]+)(ms|s)?/
+    assertMainPageLoadTime(this, "avg", maxTime);
+  }
+);
+
+Then(
+  "the main page load time {aggregate} should be less than {float} seconds",
+  function (stat, maxTime) {
+    assertMainPageLoadTime(this, stat, maxTime);
+  }
+);
+
+Then("the login time should be less than {float} seconds", function (maxTime) {
+  assertLoginTime(this, "avg", maxTime);
+});
+
+Then(
+  "the login time {aggregate} should be less than {float} seconds",
+  function (stat, maxTime) {
+    assertLoginTime(this, stat, maxTime);
+  }
+);
+
+Then(
+  "{webVital} should be {comparison} {threshold}",
+  function (vital, _, threshold) {
+    assertWebVitalBelow(this, vital, "avg", threshold);
+  }
+);
+
+Then(
+  "{webVital} {aggregate} should be {comparison} {threshold}",
+  function (vital, stat, _, threshold) {
+    assertWebVitalBelow(this, vital, stat, threshold);
+  }
+);
+
+Then(
+  "{mainThreadMetric} should be {comparison} {threshold}",
+  function (mainThreadMetric, _, threshold) {
+    assertMainThreadMetric(
+      this,
+      mainThreadMetric,
+      mainThreadMetric.stat,
+      threshold
     );
-    if (!match) {
-      throw new Error(
-        `Could not find main_page_load_time metric in k6 output. Output was:\n` +
-          k6Output
-      );
-    }
-    let loadTime = parseFloat(match[1]);
-    const unit = match[2];
+  }
+);
 
-    // Convert milliseconds to seconds if needed
-    if (unit === "ms") {
-      loadTime = loadTime / 1000;
-    }
-    logger.info(
-      `Main page load time: ${loadTime.toFixed(2)}s (limit: ${maxTime}s)`
+Then(
+  "{mainThreadMetric} {aggregate} should be {comparison} {threshold}",
+  function (mainThreadMetric, stat, _, threshold) {
+    assertMainThreadMetric(this, mainThreadMetric, stat, threshold);
+  }
+);
+
+Then(
+  "the {navigationPhase} should be {comparison} {threshold}",
+  function (phase, _, threshold) {
+    assertTimingMetric(this, phase, "avg", threshold);
+  }
+);
+
+Then(
+  "the {navigationPhase} {aggregate} should be {comparison} {threshold}",
+  function (phase, stat, _, threshold) {
+    assertTimingMetric(this, phase, stat, threshold);
+  }
+);
+
+Then("{webVital} should be rated {string}", function (vital, expected) {
+  assertWebVitalRating(this, vital, expected);
+});
+
+Then("all Web Vitals should be rated {string}", function (expected) {
+  const reported = Object.keys(latestK6Result(this).vitals || {}).filter(
+    (vital) => WEB_VITAL_BANDS[vital]
+  );
+  if (reported.length === 0) {
+    throw new Error("k6 did not report any Web Vitals for this run.");
+  }
+  for (const vital of reported) {
+    assertWebVitalRating(this, vital, expected);
+  }
+});
+
+Then(
+  "total transferred bytes should be {comparison} {byteSize}",
+  function (_, budget) {
+    assertTransferBudget(this, null, budget);
+  }
+);
+
+Then(
+  "{resourceType} should be {comparison} {byteSize}",
+  function (resourceType, _, budget) {
+    assertTransferBudget(this, resourceType, budget);
+  }
+);
+
+Then("there should be fewer than {int} requests", function (maxRequests) {
+  assertRequestBudget(this, null, maxRequests);
+});
+
+Then(
+  "there should be fewer than {int} {resourceType} requests",
+  function (maxRequests, resourceType) {
+    assertRequestBudget(this, resourceType, maxRequests);
+  }
+);
+
+Then(
+  "no {resourceType} should exceed {byteSize}",
+  function (resourceType, budget) {
+    assertLargestResource(this, resourceType, budget);
+  }
+);
+
+Then(
+  "the page should visually match baseline {string} within {float}% difference",
+  function (name, maxDiffPercent) {
+    assertVisualMatch(this, name, maxDiffPercent);
+  }
+);
+
+Then("the page should have no accessibility violations", function () {
+  assertNoAccessibilityViolations(this, null, "minor");
+});
+
+Then(
+  "the page should have no accessibility violations of severity {impact} or higher",
+  function (minImpact) {
+    assertNoAccessibilityViolations(this, null, minImpact);
+  }
+);
+
+Then(
+  "component {string} should have no accessibility violations",
+  function (selector) {
+    assertNoAccessibilityViolations(this, selector, "minor");
+  }
+);
+
+Then(
+  "component {string} should have no accessibility violations of severity {impact} or higher",
+  function (selector, minImpact) {
+    assertNoAccessibilityViolations(this, selector, minImpact);
+  }
+);
+
+Then(
+  "the main page load time should not regress more than {float}% from baseline",
+  function (maxRegression) {
+    assertNoRegression(
+      this,
+      "main_page_load_time",
+      "Main page load time",
+      maxRegression
+    );
+  }
+);
+
+Then(
+  "{webVital} should not regress more than {float}% from baseline",
+  function (vital, maxRegression) {
+    assertNoRegression(
+      this,
+      `browser_web_vital_${vital}`,
+      WEB_VITAL_BANDS[vital].name,
+      maxRegression
     );
-    if (isNaN(loadTime) || loadTime >= maxTime) {
-      throw new Error(
-        `Main page load time was ${loadTime.toFixed(
-          2
-        )}s, which is more than ${maxTime}s.`
-      );
-    }
   }
 );
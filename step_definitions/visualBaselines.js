@@ -0,0 +1,135 @@
+import fs from "fs";
+import path from "path";
+import { PNG } from "pngjs";
+import pixelmatch from "pixelmatch";
+import { approvedDir, candidatesDir } from "./baselineStore.js";
+
+// Approved screenshots are committed next to the metric baselines; candidates
+// and diff images stay local until they are promoted
+export const visualApprovedDir = path.join(approvedDir, "visual");
+export const visualCandidatesDir = path.join(candidatesDir, "visual");
+
+// Per-pixel colour distance (0-1) below which pixels count as equal; absorbs
+// anti-aliasing and font rendering noise
+const PIXEL_THRESHOLD = 0.1;
+
+/**
+ * Turns a scenario, device or baseline name into a folder or file name
+ * @param {string} name - Name from the feature file
+ * @returns {string} File name friendly slug
+ */
+function slugify(name) {
+  return name
+    .replace(/[^a-zA-Z0-9\s-]/g, "")
+    .replace(/\s+/g, "_")
+    .substring(0, 80);
+}
+
+/**
+ * Builds the path of a visual baseline image
+ * @param {string} dir - visualApprovedDir or visualCandidatesDir
+ * @param {Object} details - { scenario, device, name }
+ * @returns {string} PNG path, grouped by scenario and device
+ */
+export function visualBaselinePath(dir, { scenario, device, name }) {
+  return path.join(
+    dir,
+    slugify(scenario),
+    slugify(device),
+    `${slugify(name)}.png`
+  );
+}
+
+/**
+ * Copies an image onto a canvas of the given size; the uncovered area stays
+ * transparent so a page that grew or shrank counts as changed there
+ * @param {Object} image - Decoded PNG
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} PNG of the given size
+ */
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Compares a snapshot with its approved baseline. The snapshot is always
+ * stored as the candidate, so it can be promoted when the change is intended
+ * @param {string} snapshotFile - Screenshot captured by the k6 run
+ * @param {Object} details - { scenario, device, name }
+ * @returns {Object} { baseline, candidate, diff, diffPixels, totalPixels, diffPercent }; baseline is null when none was approved
+ */
+export function compareWithBaseline(snapshotFile, details) {
+  const candidate = visualBaselinePath(visualCandidatesDir, details);
+  fs.mkdirSync(path.dirname(candidate), { recursive: true });
+  fs.copyFileSync(snapshotFile, candidate);
+
+  const baseline = visualBaselinePath(visualApprovedDir, details);
+  if (!fs.existsSync(baseline)) {
+    return { baseline: null, candidate, diff: null };
+  }
+
+  const expected = PNG.sync.read(fs.readFileSync(baseline));
+  const actual = PNG.sync.read(fs.readFileSync(candidate));
+  const width = Math.max(expected.width, actual.width);
+  const height = Math.max(expected.height, actual.height);
+  const output = new PNG({ width, height });
+
+  const diffPixels = pixelmatch(
+    padImage(expected, width, height).data,
+    padImage(actual, width, height).data,
+    output.data,
+    width,
+    height,
+    { threshold: PIXEL_THRESHOLD, diffColor: [255, 0, 0], alpha: 0.2 }
+  );
+
+  const diff = candidate.replace(/\.png$/, ".diff.png");
+  fs.writeFileSync(diff, PNG.sync.write(output));
+
+  const totalPixels = width * height;
+  return {
+    baseline,
+    candidate,
+    diff,
+    diffPixels,
+    totalPixels,
+    diffPercent: (diffPixels / totalPixels) * 100,
+    sizeChanged:
+      expected.width !== actual.width || expected.height !== actual.height,
+  };
+}
+
+/**
+ * Lists candidate screenshots, without their diff images
+ * @returns {Array<string>} Paths relative to visualCandidatesDir
+ */
+export function listVisualCandidates() {
+  if (!fs.existsSync(visualCandidatesDir)) return [];
+  return fs
+    .readdirSync(visualCandidatesDir, { recursive: true })
+    .filter((file) => file.endsWith(".png") && !file.endsWith(".diff.png"))
+    .sort();
+}
+
+/**
+ * Promotes candidate screenshots to approved visual baselines
+ * @param {Object} options - { filter: path substring }
+ * @returns {Array<string>} Promoted paths relative to visualApprovedDir
+ */
+export function promoteVisualCandidates({ filter = "" } = {}) {
+  const promoted = [];
+  for (const file of listVisualCandidates()) {
+    if (filter && !file.includes(slugify(filter)) && !file.includes(filter)) {
+      continue;
+    }
+    const target = path.join(visualApprovedDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(visualCandidatesDir, file), target);
+    promoted.push(file);
+  }
+  return promoted;
+}
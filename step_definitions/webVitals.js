@@ -0,0 +1,38 @@
+// Google's Web Vitals thresholds (https://web.dev/articles/vitals), in ms except CLS.
+// A value up to `good` is rated good, up to `poor` needs improvement, above is poor.
+export const WEB_VITAL_BANDS = {
+  lcp: { name: "LCP", unit: "ms", good: 2500, poor: 4000 },
+  fcp: { name: "FCP", unit: "ms", good: 1800, poor: 3000 },
+  cls: { name: "CLS", unit: "", good: 0.1, poor: 0.25 },
+  ttfb: { name: "TTFB", unit: "ms", good: 800, poor: 1800 },
+  inp: { name: "INP", unit: "ms", good: 200, poor: 500 },
+};
+
+// Ratings ordered from best to worst
+export const WEB_VITAL_RATINGS = ["good", "needs improvement", "poor"];
+
+/**
+ * Rates a Web Vital value against Google's bands
+ * @param {string} vital - Vital key (lcp, fcp, cls, ttfb, inp)
+ * @param {number} value - Measured value (ms, unitless for CLS)
+ * @returns {string} One of WEB_VITAL_RATINGS
+ */
+export function rateWebVital(vital, value) {
+  const band = WEB_VITAL_BANDS[vital];
+  if (value <= band.good) return "good";
+  if (value <= band.poor) return "needs improvement";
+  return "poor";
+}
+
+/**
+ * Formats a Web Vital value with its unit for log and error messages
+ * @param {string} vital - Vital key (lcp, fcp, cls, ttfb, inp)
+ * @param {number} value - Measured value (ms, unitless for CLS)
+ * @returns {string} Human readable value
+ */
+export function formatWebVital(vital, value) {
+  if (!WEB_VITAL_BANDS[vital].unit) return value.toFixed(3);
+  return value >= 1000
+    ? `${(value / 1000).toFixed(2)}s`
+    : `${value.toFixed(0)}ms`;
+}
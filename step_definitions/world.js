@@ -0,0 +1,92 @@
+import {
+  World,
+  setWorldConstructor,
+  setDefaultTimeout,
+} from "@cucumber/cucumber";
+
+/**
+ * Per-scenario state. Cucumber creates one World per scenario, so scenarios
+ * running in parallel workers never share a page url, profile or k6 run.
+ */
+export class PerformanceWorld extends World {
+  constructor(options) {
+    super(options);
+    this.scenarioName = null;
+    this.scenarioTags = "";
+    // Simulation conditions resolved from the scenario tags by hook.js
+    this.networkCondition = null;
+    this.cpuCondition = null;
+    this.device = null;
+    // Executor of the browser scenario ({ name, executor, options }), null for the defaults
+    this.loadProfile = null;
+    // Requests blocked or mocked during the measurement, first match wins
+    this.routeRules = [];
+    // Visual comparison: capture a snapshot per run, with these regions masked
+    this.visualCheck = false;
+    this.visualMasks = [];
+    // Accessibility audits run after the measurement ({ selector }, null for the page)
+    this.accessibilityAudits = [];
+    // HTTP load driven next to the browser ({ url, rate, rampSeconds })
+    this.backgroundLoad = null;
+    // Page under test and the k6 runs of this scenario
+    this.url = null;
+    this.k6Run = null;
+    this.k6Runs = [];
+    this.journeySteps = [];
+    this.k6ResultFiles = [];
+    this.sessionStateFile = null;
+  }
+
+  /**
+   * Environment variables describing this scenario to the k6 script
+   * @returns {Object} SCENARIO_*, K6_*, VISUAL_MASKS, A11Y_AUDITS, ROUTE_RULES and BACKGROUND_LOAD variables
+   */
+  k6Env() {
+    const env = {
+      SCENARIO_NAME: this.scenarioName || "",
+      SCENARIO_TAGS: this.scenarioTags,
+    };
+    if (this.networkCondition) {
+      const { condition, name, latency, download, upload } =
+        this.networkCondition;
+      Object.assign(env, {
+        K6_NETWORK_CONDITION: condition,
+        K6_NETWORK_PROFILE: name,
+        K6_NETWORK_LATENCY: String(latency),
+        K6_NETWORK_DOWNLOAD: String(download),
+        K6_NETWORK_UPLOAD: String(upload),
+      });
+    }
+    if (this.cpuCondition) {
+      env.K6_CPU_CONDITION = this.cpuCondition.condition;
+      env.K6_CPU_THROTTLING = String(this.cpuCondition.throttling);
+    }
+    if (this.device) {
+      env.K6_DEVICE = this.device.name;
+      env.K6_DEVICE_OPTIONS = JSON.stringify(this.device.contextOptions);
+    }
+    if (this.loadProfile) {
+      const { name, executor, options } = this.loadProfile;
+      env.K6_LOAD_PROFILE = JSON.stringify({ name, executor, ...options });
+    }
+    if (this.visualMasks.length > 0) {
+      env.VISUAL_MASKS = JSON.stringify(this.visualMasks);
+    }
+    if (this.accessibilityAudits.length > 0) {
+      env.A11Y_AUDITS = JSON.stringify(this.accessibilityAudits);
+    }
+    if (this.routeRules.length > 0) {
+      env.ROUTE_RULES = JSON.stringify(this.routeRules);
+    }
+    if (this.backgroundLoad) {
+      env.BACKGROUND_LOAD = JSON.stringify(this.backgroundLoad);
+    }
+    return env;
+  }
+}
+
+setWorldConstructor(PerformanceWorld);
+
+// Steps may start several k6 runs; each run has its own wall-clock limit
+// (K6_RUN_TIMEOUT, see k6Runner.js), so Cucumber's 5 s step timeout is off
+setDefaultTimeout(-1);
@@ -0,0 +1,43 @@
+import fs from "fs";
+import yaml from "js-yaml";
+
+/**
+ * Normalizes a profile name so "Slow_4G", "slow-4g" and "Slow 4G" match
+ * @param {string} name - Profile name
+ * @returns {string} Lowercase alphanumeric name
+ */
+export function normalizeProfileName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Loads a YAML file of named profiles
+ * @param {string} file - YAML file relative to the project root
+ * @returns {Object} Profiles keyed by name
+ */
+export function loadYamlProfiles(file) {
+  return yaml.load(fs.readFileSync(file, "utf8")) || {};
+}
+
+/**
+ * Looks up a named profile, ignoring case, spaces, "_" and "-"
+ * @param {Object} profiles - Profiles keyed by name
+ * @param {string} name - Requested profile name
+ * @param {string} file - Source file, used in the error message
+ * @returns {Object} { name, ...profile }
+ * @throws {Error} If no profile matches
+ */
+export function findNamedProfile(profiles, name, file) {
+  const match = Object.keys(profiles).find(
+    (profileName) =>
+      normalizeProfileName(profileName) === normalizeProfileName(name)
+  );
+  if (!match) {
+    throw new Error(
+      `Unknown profile "${name}". Available in ${file}: ${Object.keys(
+        profiles
+      ).join(", ")}`
+    );
+  }
+  return { name: match, ...profiles[match] };
+}